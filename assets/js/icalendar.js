@@ -0,0 +1,494 @@
+// iCalendar (RFC 5545) export/import for calendar events
+// VEVENT <-> event: SUMMARY = title, DTSTART/DTEND = date/time/endTime, PRIORITY = priority,
+// DESCRIPTION = description, RRULE/EXDATE = recurrence/exdates, RECURRENCE-ID = edited occurrence.
+// Timed events with a timeZone are written with TZID (and a VTIMEZONE per TZID); ones without stay
+// floating (same clock time everywhere).
+const ICALENDAR_PRODID = '-//manager-app//TaskManager Calendar//VI';
+// Events created here get "<id>@manager-app" as UID; imported events keep their own UID in event.uid
+const ICALENDAR_UID_DOMAIN = 'manager-app';
+// PRIORITY is 1 (highest) .. 9 (lowest), 0 = undefined
+const ICALENDAR_PRIORITIES = { high: 1, medium: 5, low: 9 };
+// Lines longer than this many octets are folded
+const ICALENDAR_LINE_OCTETS = 75;
+// BYDAY codes by Date#getUTCDay()
+const ICALENDAR_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICALENDAR_MINUTE_MS = 60 * 1000;
+const ICALENDAR_DAY_MS = 24 * 60 * ICALENDAR_MINUTE_MS;
+
+const IcsRecurrence = typeof Recurrence !== 'undefined' ? Recurrence : require('./recurrence.js').Recurrence;
+const IcsUtils = typeof Utils !== 'undefined' ? Utils : require('./main.js').Utils;
+
+class ICalendar {
+    /**
+     * UID of an event as it appears in .ics files
+     * @param {Object} event - Calendar event
+     * @returns {string}
+     */
+    static getUid(event) {
+        return event.uid || `${event.id}@${ICALENDAR_UID_DOMAIN}`;
+    }
+
+    /**
+     * Build a .ics document
+     * @param {Array} events - Stored calendar events (series are exported with their RRULE, not expanded)
+     * @param {Object} options - { name: calendar name shown by subscribing apps }
+     * @returns {string} iCalendar text with CRLF line endings
+     */
+    static export(events, options = {}) {
+        const byId = new Map(events.map(event => [String(event.id), event]));
+        const stamp = this.formatStamp(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${ICALENDAR_PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        if (options.name) lines.push(`X-WR-CALNAME:${this.escapeText(options.name)}`);
+
+        // Every TZID used below needs its VTIMEZONE (RFC 5545 3.2.19)
+        const timeZones = new Set(events.filter(event => event.time && event.timeZone).map(event => event.timeZone));
+        timeZones.forEach(timeZone => lines.push(...this.formatTimeZone(timeZone)));
+
+        events.forEach(event => {
+            const series = event.seriesId ? byId.get(String(event.seriesId)) : null;
+            lines.push('BEGIN:VEVENT');
+            // An edited occurrence shares the series UID and names the date it replaces
+            lines.push(`UID:${this.escapeText(this.getUid(series || event))}`);
+            lines.push(`DTSTAMP:${stamp}`);
+            if (series && event.originalDate) {
+                lines.push(this.formatDateProperty('RECURRENCE-ID', event.originalDate, series.time, series.timeZone));
+            }
+            lines.push(this.formatDateProperty('DTSTART', event.date, event.time, event.timeZone));
+            if (event.time && event.endTime) {
+                // An end before the start wraps past midnight
+                const endDate = event.endTime > event.time ? event.date : IcsUtils.addDaysToKey(event.date, 1);
+                lines.push(this.formatDateProperty('DTEND', endDate, event.endTime, event.timeZone));
+            } else if (!event.time) {
+                lines.push(this.formatDateProperty('DTEND', IcsUtils.addDaysToKey(event.date, 1)));
+            }
+            lines.push(`SUMMARY:${this.escapeText(event.title || '')}`);
+            if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+            lines.push(`PRIORITY:${ICALENDAR_PRIORITIES[event.priority] || ICALENDAR_PRIORITIES.medium}`);
+            if (event.createdAt) lines.push(`CREATED:${this.formatStamp(new Date(event.createdAt))}`);
+            if (event.recurrence) {
+                let rule = IcsRecurrence.format(event.recurrence);
+                // UNTIL must match DTSTART: a DATE, a floating time, or UTC when DTSTART has a TZID
+                if (event.time && event.recurrence.until) {
+                    const until = event.timeZone
+                        ? this.formatStamp(IcsUtils.zonedTimeToDate(event.recurrence.until, '23:59', event.timeZone))
+                        : `${event.recurrence.until.replace(/-/g, '')}T235959`;
+                    rule = rule.replace(/UNTIL=\d{8}/, `UNTIL=${until}`);
+                }
+                lines.push(`RRULE:${rule}`);
+                (event.exdates || []).forEach(date => lines.push(this.formatDateProperty('EXDATE', date, event.time, event.timeZone)));
+            }
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Parse a .ics document into events
+     * @param {string} text - iCalendar text
+     * @returns {{events: Array, skipped: number}} Parsed events (with uid, and recurrenceId for
+     *          edited occurrences) and the number of VEVENTs that could not be used
+     * @throws {Error} If the text is not an iCalendar document
+     */
+    static parse(text) {
+        const source = String(text || '');
+        if (!/BEGIN:VCALENDAR/i.test(source)) {
+            throw new Error('Tệp không phải iCalendar (.ics) hợp lệ');
+        }
+
+        // Unfold continuation lines (CRLF followed by a space or tab)
+        const lines = source.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const events = [];
+        let skipped = 0;
+        let current = null;
+        // Depth inside the VEVENT, so VALARM properties do not leak into the event
+        let nested = 0;
+
+        lines.forEach(line => {
+            const property = this.parseLine(line);
+            if (!property) return;
+
+            if (property.name === 'BEGIN') {
+                if (property.value.toUpperCase() === 'VEVENT' && !current) {
+                    current = { props: {}, exdates: [] };
+                } else if (current) {
+                    nested++;
+                }
+                return;
+            }
+            if (property.name === 'END') {
+                if (current && nested > 0) {
+                    nested--;
+                } else if (current && property.value.toUpperCase() === 'VEVENT') {
+                    const event = this.toEvent(current);
+                    if (event) events.push(event); else skipped++;
+                    current = null;
+                }
+                return;
+            }
+            if (!current || nested > 0) return;
+
+            if (property.name === 'EXDATE') {
+                property.value.split(',').forEach(value => {
+                    const parsed = this.parseDateValue(value, property.params);
+                    if (parsed) current.exdates.push(parsed.date);
+                });
+            } else if (!current.props[property.name]) {
+                current.props[property.name] = property;
+            }
+        });
+
+        return { events, skipped };
+    }
+
+    /**
+     * Add parsed events to a list, skipping ones that are already there (same UID and occurrence)
+     * @param {Array} existing - Current events; series gain exdates for imported edited occurrences
+     * @param {Array} parsed - Events from parse()
+     * @param {Function} createId - Returns a new event id
+     * @returns {{events: Array, added: number, duplicates: number}} The combined list and counts
+     */
+    static merge(existing, parsed, createId) {
+        const result = existing.slice();
+        const seriesByUid = new Map();
+        const keys = new Set();
+        const keyOf = (uid, occurrence) => `${uid}|${occurrence || ''}`;
+
+        result.forEach(event => {
+            const series = event.seriesId ? result.find(other => String(other.id) === String(event.seriesId)) : null;
+            if (series) {
+                keys.add(keyOf(this.getUid(series), event.originalDate));
+            } else {
+                keys.add(keyOf(this.getUid(event)));
+                if (event.recurrence) seriesByUid.set(this.getUid(event), event);
+            }
+        });
+
+        let added = 0;
+        let duplicates = 0;
+        // Series first, so edited occurrences in the same file find them
+        const ordered = parsed.filter(event => !event.recurrenceId).concat(parsed.filter(event => event.recurrenceId));
+        ordered.forEach(({ recurrenceId, ...event }) => {
+            const key = keyOf(event.uid, recurrenceId);
+            if (keys.has(key)) {
+                duplicates++;
+                return;
+            }
+            keys.add(key);
+
+            const item = { id: createId(), ...event, createdAt: new Date().toISOString() };
+            const series = recurrenceId ? seriesByUid.get(event.uid) : null;
+            if (series) {
+                series.exdates = [...new Set([...(series.exdates || []), recurrenceId])].sort();
+                item.seriesId = series.id;
+                item.originalDate = recurrenceId;
+                // The occurrence is reached through its series, not by its own UID
+                delete item.uid;
+            } else if (item.recurrence) {
+                seriesByUid.set(item.uid, item);
+            }
+            result.push(item);
+            added++;
+        });
+
+        return { events: result, added, duplicates };
+    }
+
+    /**
+     * Turn the collected properties of one VEVENT into an event
+     * @param {{props: Object, exdates: Array}} raw
+     * @returns {Object|null} Event, or null if it has no usable start or is cancelled
+     */
+    static toEvent({ props, exdates }) {
+        if (!props.DTSTART) return null;
+        if (props.STATUS && props.STATUS.value.toUpperCase() === 'CANCELLED') return null;
+        const start = this.parseDateValue(props.DTSTART.value, props.DTSTART.params);
+        if (!start) return null;
+
+        const event = {
+            uid: '',
+            title: props.SUMMARY ? this.unescapeText(props.SUMMARY.value) : '(Không có tiêu đề)',
+            date: start.date,
+            time: start.time || '',
+            priority: this.toPriority(props.PRIORITY ? props.PRIORITY.value : ''),
+            description: props.DESCRIPTION ? this.unescapeText(props.DESCRIPTION.value) : ''
+        };
+        // UID is required by RFC 5545; without one, derive it so importing the same file twice still matches
+        event.uid = props.UID
+            ? this.unescapeText(props.UID.value)
+            : `${props.DTSTART.value}-${encodeURIComponent(event.title)}@import`;
+
+        if (start.time) {
+            let end = props.DTEND ? this.parseDateValue(props.DTEND.value, props.DTEND.params) : null;
+            if (!end && props.DURATION) end = { ...this.addDuration(start, props.DURATION.value), timeZone: start.timeZone };
+            if (end && end.timeZone && start.timeZone && end.timeZone !== start.timeZone) {
+                end = IcsUtils.convertWallTime(end.date, end.time, end.timeZone, start.timeZone);
+            }
+            // Events that run past midnight keep only their start time
+            if (end && end.date === start.date && end.time > start.time) event.endTime = end.time;
+
+            if (start.timeZone) {
+                event.timeZone = start.timeZone;
+                event.start = IcsUtils.toZonedIso(event.date, event.time, event.timeZone);
+                if (event.endTime) event.end = IcsUtils.toZonedIso(event.date, event.endTime, event.timeZone);
+            }
+        }
+
+        if (props.RRULE) {
+            try {
+                const rule = IcsRecurrence.parse(props.RRULE.value);
+                // Pin monthly rules to the DTSTART day, so a series on the 31st returns to it after a short month
+                if (rule.freq === 'MONTHLY' && !rule.byMonthDay && !rule.bySetPos) {
+                    rule.byMonthDay = Number(event.date.split('-')[2]);
+                }
+                event.recurrence = rule;
+                event.exdates = [...new Set(exdates)].sort();
+            } catch (_) {
+                // Rules outside the supported subset import as a single event
+            }
+        }
+
+        if (props['RECURRENCE-ID']) {
+            const occurrence = this.parseDateValue(props['RECURRENCE-ID'].value, props['RECURRENCE-ID'].params);
+            if (occurrence) event.recurrenceId = occurrence.date;
+        }
+        return event;
+    }
+
+    /**
+     * Split a content line into name, parameters and value
+     * @param {string} line - Unfolded content line
+     * @returns {{name: string, params: Object, value: string}|null}
+     */
+    static parseLine(line) {
+        const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/);
+        if (!match) return null;
+        const params = {};
+        (match[2].match(/;[^;=]+=(?:"[^"]*"|[^;]*)/g) || []).forEach(part => {
+            const [key, ...value] = part.slice(1).split('=');
+            params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+        });
+        return { name: match[1].toUpperCase(), params, value: match[3] };
+    }
+
+    /**
+     * Read a DATE or DATE-TIME value. UTC times (Z) are converted to the display timezone;
+     * times with a known TZID keep it; other times are floating.
+     * @param {string} value - e.g. "20251019", "20251019T090000", "20251019T020000Z"
+     * @param {Object} params - Property parameters
+     * @returns {{date: string, time: string, timeZone?: string}|null} time is '' for a DATE
+     */
+    static parseDateValue(value, params = {}) {
+        const match = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!match) return null;
+        const [, year, month, day, hours, minutes, , utc] = match;
+        if (hours === undefined || params.VALUE === 'DATE') {
+            return { date: `${year}-${month}-${day}`, time: '' };
+        }
+        if (utc) {
+            const timeZone = IcsUtils.getTimeZone();
+            const instant = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)));
+            return { ...IcsUtils.getZonedParts(instant, timeZone), timeZone };
+        }
+        const parsed = { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+        if (params.TZID && IcsUtils.isValidTimeZone(params.TZID)) parsed.timeZone = params.TZID;
+        return parsed;
+    }
+
+    /**
+     * End of an event given its start and an RFC 5545 DURATION such as "PT1H30M"
+     * @param {{date: string, time: string}} start
+     * @param {string} duration
+     * @returns {{date: string, time: string}|null}
+     */
+    static addDuration(start, duration) {
+        const match = String(duration).match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/);
+        if (!match) return null;
+        const [, weeks, days, hours, minutes] = match.map(Number);
+        const [year, month, day] = start.date.split('-').map(Number);
+        const [startHours, startMinutes] = start.time.split(':').map(Number);
+        // Wall-clock arithmetic on UTC fields, so the machine's own timezone and DST play no part
+        const end = new Date(Date.UTC(year, month - 1, day + (days || 0) + (weeks || 0) * 7,
+            startHours + (hours || 0), startMinutes + (minutes || 0)));
+        const pad = n => String(n).padStart(2, '0');
+        return {
+            date: `${end.getUTCFullYear()}-${pad(end.getUTCMonth() + 1)}-${pad(end.getUTCDate())}`,
+            time: `${pad(end.getUTCHours())}:${pad(end.getUTCMinutes())}`
+        };
+    }
+
+    static toPriority(value) {
+        const level = parseInt(value, 10);
+        if (!level) return 'medium';
+        if (level <= 4) return 'high';
+        return level === 5 ? 'medium' : 'low';
+    }
+
+    static formatDateProperty(name, date, time = '', timeZone = '') {
+        const day = date.replace(/-/g, '');
+        if (!time) return `${name};VALUE=DATE:${day}`;
+        return `${name}${timeZone ? `;TZID=${timeZone}` : ''}:${day}T${time.replace(':', '')}00`;
+    }
+
+    /**
+     * VTIMEZONE component for a TZID. The offsets and daylight saving rule come from this
+     * year's transitions (via Intl), repeated yearly as the nth or last weekday of the month.
+     * @param {string} timeZone - IANA name
+     * @returns {Array<string>} Content lines
+     */
+    static formatTimeZone(timeZone) {
+        const year = new Date().getUTCFullYear();
+        const transitions = this.findTransitions(timeZone, year);
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+        if (transitions.length === 0) {
+            const offset = this.formatOffset(this.getOffsetMinutes(timeZone, Date.UTC(year, 0, 1)));
+            lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+        }
+        transitions.forEach(({ at, from, to }) => {
+            // Onset is written in the local time in force before the change
+            const onset = new Date(at + from * ICALENDAR_MINUTE_MS);
+            const month = onset.getUTCMonth() + 1;
+            const day = onset.getUTCDate();
+            const weekday = onset.getUTCDay();
+            const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            const nth = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+            const time = onset.toISOString().slice(11, 16).replace(':', '');
+            const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+            lines.push(
+                `BEGIN:${kind}`,
+                `DTSTART:${this.nthWeekdayKey(1970, month, nth, weekday)}T${time}00`,
+                `TZOFFSETFROM:${this.formatOffset(from)}`,
+                `TZOFFSETTO:${this.formatOffset(to)}`,
+                `RRULE:FREQ=YEARLY;BYMONTH=${month};BYDAY=${nth}${ICALENDAR_WEEKDAYS[weekday]}`,
+                `END:${kind}`
+            );
+        });
+
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+
+    /**
+     * UTC offset changes of a timezone during one year
+     * @param {string} timeZone - IANA name
+     * @param {number} year - Year
+     * @returns {Array<{at: number, from: number, to: number}>} Change instants (ms) and offsets in minutes
+     */
+    static findTransitions(timeZone, year) {
+        const transitions = [];
+        const end = Date.UTC(year + 1, 0, 1);
+        let time = Date.UTC(year, 0, 1);
+        let offset = this.getOffsetMinutes(timeZone, time);
+
+        while (time < end) {
+            const next = Math.min(time + ICALENDAR_DAY_MS, end);
+            const nextOffset = this.getOffsetMinutes(timeZone, next);
+            if (nextOffset !== offset) {
+                // Narrow the change down to the minute
+                let low = time;
+                let high = next;
+                while (high - low > ICALENDAR_MINUTE_MS) {
+                    const middle = low + Math.floor((high - low) / ICALENDAR_MINUTE_MS / 2) * ICALENDAR_MINUTE_MS;
+                    if (this.getOffsetMinutes(timeZone, middle) === offset) low = middle; else high = middle;
+                }
+                transitions.push({ at: high, from: offset, to: nextOffset });
+                offset = nextOffset;
+            }
+            time = next;
+        }
+        return transitions;
+    }
+
+    /**
+     * @param {string} timeZone - IANA name
+     * @param {number} time - Instant in ms, on a whole minute
+     * @returns {number} Minutes the zone's clock is ahead of UTC
+     */
+    static getOffsetMinutes(timeZone, time) {
+        const { date, time: clock } = IcsUtils.getZonedParts(new Date(time), timeZone);
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = clock.split(':').map(Number);
+        return Math.round((Date.UTC(year, month - 1, day, hours, minutes) - time) / ICALENDAR_MINUTE_MS);
+    }
+
+    static formatOffset(minutes) {
+        const pad = n => String(n).padStart(2, '0');
+        const absolute = Math.abs(minutes);
+        return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+    }
+
+    /**
+     * @param {number} year - Year
+     * @param {number} month - 1-12
+     * @param {number} nth - 1-4, or -1 for the last
+     * @param {number} weekday - 0 (Sunday) - 6
+     * @returns {string} YYYYMMDD
+     */
+    static nthWeekdayKey(year, month, nth, weekday) {
+        const pad = n => String(n).padStart(2, '0');
+        let day;
+        if (nth > 0) {
+            const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+            day = 1 + (weekday - first + 7) % 7 + (nth - 1) * 7;
+        } else {
+            const last = new Date(Date.UTC(year, month, 0));
+            day = last.getUTCDate() - (last.getUTCDay() - weekday + 7) % 7;
+        }
+        return `${year}${pad(month)}${pad(day)}`;
+    }
+
+    static formatStamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    static escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    static unescapeText(value) {
+        return String(value).replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Fold a content line to at most 75 octets per physical line (UTF-8 aware)
+     * @param {string} line
+     * @returns {string}
+     */
+    static foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts toward their limit
+            const limit = parts.length === 0 ? ICALENDAR_LINE_OCTETS : ICALENDAR_LINE_OCTETS - 1;
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ICalendar };
+}
@@ -7,6 +7,7 @@ class NavigationManager {
     init() {
         this.setActiveNavLink();
         this.updateAuthControls();
+        this.setupSyncIndicator();
         this.handleMobileMenu();
     }
     
@@ -53,6 +54,9 @@ class NavigationManager {
                 logoutA.addEventListener('click', (e) => {
                     e.preventDefault();
                     localStorage.removeItem('auth_token');
+                    // Pending changes belong to this account; never replay them under another login
+                    localStorage.removeItem('sync-outbox');
+                    this.updateSyncIndicator(0);
                     Utils.showNotification('Đã đăng xuất!', 'success');
                     // Rebuild auth controls and refresh active link state
                     this.updateAuthControls();
@@ -76,11 +80,63 @@ class NavigationManager {
         }
     }
     
+    setupSyncIndicator() {
+        // StorageManager fires 'sync-status' in this tab; other tabs change the outbox via storage events
+        window.addEventListener('sync-status', (e) => this.updateSyncIndicator(e.detail.pending));
+        window.addEventListener('storage', (e) => {
+            if (e.key === 'sync-outbox') this.updateSyncIndicator();
+        });
+        this.updateSyncIndicator();
+    }
+
+    updateSyncIndicator(pending) {
+        try {
+            const navList = document.querySelector('.nav-links');
+            if (!navList) return;
+
+            if (pending === undefined) {
+                const outbox = Utils.getFromLocalStorage('sync-outbox', []);
+                pending = Array.isArray(outbox) ? outbox.length : 0;
+            }
+
+            let li = navList.querySelector('li[data-sync-item]');
+            if (pending === 0) {
+                if (li) li.remove();
+                return;
+            }
+
+            if (!li) {
+                li = document.createElement('li');
+                li.setAttribute('data-sync-item', '');
+                const a = document.createElement('a');
+                a.href = '#';
+                a.className = 'sync-indicator';
+                a.title = 'Thay đổi chưa được đồng bộ lên máy chủ. Nhấn để thử lại.';
+                a.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    if (typeof storageManager !== 'undefined') storageManager.flush();
+                });
+                li.appendChild(a);
+                navList.insertBefore(li, navList.querySelector('li[data-auth-item]'));
+            }
+            li.querySelector('a').textContent = `⏳ Chờ đồng bộ (${pending})`;
+        } catch (error) {
+            console.error('Error updating sync indicator:', error);
+        }
+    }
+    
     handleMobileMenu() {
         // Thêm chức năng mobile menu nếu cần
     }
 }
 
+// Saved display timezone (IANA name); unset means "follow the device"
+const TIMEZONE_STORAGE_KEY = 'app-timezone';
+// Intl formatters are slow to build, so keep one per timezone
+const zonedFormatters = new Map();
+// Characters that would otherwise be read as markup
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 // Utility functions
 class Utils {
     static formatDate(date) {
@@ -101,20 +157,23 @@ class Utils {
         }).format(date);
     }
     
-    static showNotification(message, type = 'info') {
+    /**
+     * Show a toast
+     * @param {string} message - Text to show
+     * @param {string} type - 'info', 'success', 'warning' or 'error'
+     * @param {Object} options - { actionLabel, onAction, duration } to add a button (e.g. "Hoàn tác")
+     */
+    static showNotification(message, type = 'info', options = {}) {
+        const { actionLabel, onAction, duration = actionLabel ? 6000 : 3000 } = options;
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.textContent = message;
         
         const styles = {
-            position: 'fixed',
-            top: '20px',
-            right: '20px',
             padding: '15px 20px',
             borderRadius: '8px',
             color: 'white',
             fontWeight: '500',
-            zIndex: '10000',
             animation: 'slideInRight 0.3s ease-out'
         };
         
@@ -127,14 +186,68 @@ class Utils {
         
         Object.assign(notification.style, styles, typeStyles[type]);
         
-        document.body.appendChild(notification);
-        
-        setTimeout(() => {
+        let dismissed = false;
+        const dismiss = () => {
+            if (dismissed) return;
+            dismissed = true;
             notification.style.animation = 'slideOutRight 0.3s ease-in';
-            setTimeout(() => {
-                document.body.removeChild(notification);
-            }, 300);
-        }, 3000);
+            setTimeout(() => notification.remove(), 300);
+        };
+        
+        if (actionLabel && onAction) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'notification-action';
+            actionBtn.textContent = actionLabel;
+            Object.assign(actionBtn.style, {
+                marginLeft: '12px',
+                padding: '4px 10px',
+                border: '1px solid rgba(255, 255, 255, 0.8)',
+                borderRadius: '4px',
+                background: 'transparent',
+                color: 'white',
+                fontWeight: '600',
+                cursor: 'pointer'
+            });
+            actionBtn.addEventListener('click', () => {
+                dismiss();
+                onAction();
+            });
+            notification.appendChild(actionBtn);
+        }
+        
+        // Toasts stack so a quick follow-up never hides the previous one; a newer undo toast replaces the older one
+        if (actionLabel && onAction) {
+            document.querySelectorAll('.notification-with-action').forEach(existing => existing.remove());
+            notification.classList.add('notification-with-action');
+        }
+        Utils.getNotificationStack().appendChild(notification);
+        
+        setTimeout(dismiss, duration);
+    }
+    
+    /**
+     * Fixed top-right column the toasts are stacked in
+     * @returns {HTMLElement} The stack, created on first use
+     */
+    static getNotificationStack() {
+        let stack = document.getElementById('notification-stack');
+        if (!stack) {
+            stack = document.createElement('div');
+            stack.id = 'notification-stack';
+            Object.assign(stack.style, {
+                position: 'fixed',
+                top: '20px',
+                right: '20px',
+                zIndex: '10000',
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'flex-end',
+                gap: '10px'
+            });
+            document.body.appendChild(stack);
+        }
+        return stack;
     }
     
     static saveToLocalStorage(key, data) {
@@ -157,6 +270,173 @@ class Utils {
         }
     }
     
+    /**
+     * YYYY-MM-DD key of a calendar date, from its local year/month/day.
+     * Use this instead of toISOString(), which gives the UTC date (yesterday's date east of UTC
+     * before 7:00 in UTC+7).
+     * @param {Date} date - Date to format
+     * @returns {string} Date key
+     */
+    static toDateKey(date = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    
+    /**
+     * Local Date for a YYYY-MM-DD key, at noon so DST shifts never change the day
+     * @param {string} key - Date key
+     * @returns {Date}
+     */
+    static fromDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day, 12);
+    }
+    
+    static addDaysToKey(key, days) {
+        const date = Utils.fromDateKey(key);
+        date.setDate(date.getDate() + days);
+        return Utils.toDateKey(date);
+    }
+    
+    /**
+     * Today's date key in the display timezone
+     * @returns {string}
+     */
+    static todayKey() {
+        return Utils.getZonedParts(new Date()).date;
+    }
+    
+    /**
+     * Timezone used to show dates and times: the saved setting, or the device's zone
+     * @returns {string} IANA name, e.g. "Asia/Ho_Chi_Minh"
+     */
+    static getTimeZone() {
+        let saved = null;
+        try {
+            saved = typeof localStorage !== 'undefined' ? localStorage.getItem(TIMEZONE_STORAGE_KEY) : null;
+        } catch (_) {
+            // storage unavailable
+        }
+        return saved && Utils.isValidTimeZone(saved) ? saved : Utils.getDeviceTimeZone();
+    }
+    
+    static getDeviceTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+    
+    /**
+     * Save the display timezone and tell open pages to re-render
+     * @param {string|null} timeZone - IANA name, or null to follow the device
+     * @throws {Error} If the name is not a known timezone
+     */
+    static setTimeZone(timeZone) {
+        if (timeZone && !Utils.isValidTimeZone(timeZone)) {
+            throw new Error(`Múi giờ không hợp lệ: ${timeZone}`);
+        }
+        if (timeZone) {
+            localStorage.setItem(TIMEZONE_STORAGE_KEY, timeZone);
+        } else {
+            localStorage.removeItem(TIMEZONE_STORAGE_KEY);
+        }
+        window.dispatchEvent(new CustomEvent('timezone-change', { detail: { timeZone: Utils.getTimeZone() } }));
+    }
+    
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+    
+    /**
+     * Wall-clock date and time of an instant in a timezone
+     * @param {Date} instant - Moment in time
+     * @param {string} timeZone - IANA name (defaults to the display timezone)
+     * @returns {{date: string, time: string}} YYYY-MM-DD and HH:MM
+     */
+    static getZonedParts(instant, timeZone = Utils.getTimeZone()) {
+        if (!zonedFormatters.has(timeZone)) {
+            zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            }));
+        }
+        const parts = {};
+        zonedFormatters.get(timeZone).formatToParts(instant).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+        return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+    }
+    
+    /**
+     * Moment at which a timezone's clock shows the given date and time
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} time - HH:MM
+     * @param {string} timeZone - IANA name
+     * @returns {Date}
+     */
+    static zonedTimeToDate(date, time, timeZone) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = time.split(':').map(Number);
+        const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+        const offsetAt = (ms) => {
+            const shown = Utils.getZonedParts(new Date(ms), timeZone);
+            const [y, mo, d] = shown.date.split('-').map(Number);
+            const [h, mi] = shown.time.split(':').map(Number);
+            return Date.UTC(y, mo - 1, d, h, mi) - Math.floor(ms / 60000) * 60000;
+        };
+        // The offset at the guess can differ from the offset at the answer around DST changes
+        const guess = asUtc - offsetAt(asUtc);
+        return new Date(asUtc - offsetAt(guess));
+    }
+    
+    /**
+     * ISO 8601 timestamp with the timezone's offset, e.g. "2025-10-19T09:00:00+07:00"
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} time - HH:MM
+     * @param {string} timeZone - IANA name
+     * @returns {string}
+     */
+    static toZonedIso(date, time, timeZone) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = time.split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+        const offset = Math.round((wallClock - Utils.zonedTimeToDate(date, time, timeZone).getTime()) / 60000);
+        const sign = offset < 0 ? '-' : '+';
+        const pad = n => String(Math.floor(Math.abs(n))).padStart(2, '0');
+        return `${date}T${time}:00${sign}${pad(offset / 60)}:${pad(offset % 60)}`;
+    }
+    
+    /**
+     * Show a wall-clock time of one timezone in another
+     * @param {string} date - YYYY-MM-DD in fromZone
+     * @param {string} time - HH:MM in fromZone
+     * @param {string} fromZone - IANA name
+     * @param {string} toZone - IANA name
+     * @returns {{date: string, time: string}}
+     */
+    static convertWallTime(date, time, fromZone, toZone) {
+        if (fromZone === toZone) return { date, time };
+        return Utils.getZonedParts(Utils.zonedTimeToDate(date, time, fromZone), toZone);
+    }
+    
+    /**
+     * Escape text for use in HTML markup or attribute values, e.g. titles from imported files
+     * @param {*} value - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(value) {
+        if (value === undefined || value === null) return '';
+        return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+    
     static generateId() {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
@@ -187,15 +467,17 @@ const animationCSS = `
     }
 `;
 
-// Add animation styles to head
-const styleSheet = document.createElement('style');
-styleSheet.textContent = animationCSS;
-document.head.appendChild(styleSheet);
+// Add animation styles and navigation in the browser; Node only uses Utils (server ICS feed)
+if (typeof document !== 'undefined') {
+    const styleSheet = document.createElement('style');
+    styleSheet.textContent = animationCSS;
+    document.head.appendChild(styleSheet);
 
-// Initialize navigation when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new NavigationManager();
-});
+    // Initialize navigation when DOM is loaded
+    document.addEventListener('DOMContentLoaded', () => {
+        new NavigationManager();
+    });
+}
 
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
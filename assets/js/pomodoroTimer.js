@@ -1,9 +1,21 @@
 // Pomodoro Timer Component
+const POMODORO_MODE_LABELS = {
+    work: 'Làm việc',
+    break: 'Nghỉ ngơi',
+    longBreak: 'Nghỉ dài'
+};
+
 class PomodoroTimer {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         this.pomodoro = new PomodoroManager();
+        this.alerts = new TimerAlerts();
         this.currentPreset = 'pomodoro';
+        // Choices of the "Đang làm" picker: { value, group, target }
+        this.targets = [];
+        // Work sessions completed today, for the daily goal, and the day they were counted for
+        this.todayCount = 0;
+        this.countedDay = null;
         
         this.init();
         this.setupEventListeners();
@@ -17,6 +29,33 @@ class PomodoroTimer {
         this.render();
         this.updateDisplay();
         this.setupPomodoroSubscriptions();
+        this.loadTargets();
+        this.loadTodayCount();
+    }
+
+    /**
+     * Target for a time block; the block's linked todo gets the sessions too
+     * @param {Object} block - Time block
+     * @returns {Object} { blockId, todoId, label }
+     */
+    static getBlockTarget(block) {
+        return {
+            blockId: block.id,
+            todoId: block.todoId !== null ? block.todoId : undefined,
+            label: `${block.startTime}–${block.endTime} · ${block.task}`
+        };
+    }
+
+    /**
+     * Picker value of a target
+     * @param {Object|null} target - { todoId, blockId, label }
+     * @returns {string} 'block:<id>', 'todo:<id>' or ''
+     */
+    static getTargetValue(target) {
+        if (!target) return '';
+        if (target.blockId !== undefined && target.blockId !== null) return `block:${target.blockId}`;
+        if (target.todoId !== undefined && target.todoId !== null) return `todo:${target.todoId}`;
+        return '';
     }
 
     /**
@@ -26,6 +65,10 @@ class PomodoroTimer {
         this.pomodoro.subscribe('onTick', (data) => {
             this.updateTimer(data.formatted, data.progress);
             this.updateTitle(data.formatted);
+            // Only the sound tab ticks, so several open tabs do not tick over each other
+            if (this.pomodoro.getState().mode === 'work' && this.alerts.isSoundTab(this.pomodoro.isLeader)) {
+                this.alerts.tick();
+            }
         });
 
         this.pomodoro.subscribe('onStateChange', (data) => {
@@ -39,6 +82,19 @@ class PomodoroTimer {
         this.pomodoro.subscribe('onModeSwitch', (data) => {
             this.handleModeSwitch(data);
         });
+
+        // Lets the page attribute the session (🍅 counts, completing time blocks)
+        this.pomodoro.subscribe('onSessionRecorded', (record) => {
+            window.dispatchEvent(new CustomEvent('pomodoro-session', { detail: record }));
+            if (record.mode === 'work' && record.status === 'completed') this.loadTodayCount(true);
+        });
+
+        // Only the leading tab hears onSessionRecorded; the others recount when the history changes
+        this.unsubscribeSessions = storageManager.subscribe('sessions', Utils.debounce(() => this.loadTodayCount(), 300));
+        // "Hôm nay" starts over at midnight
+        this.dayCheckId = setInterval(() => {
+            if (Utils.todayKey() !== this.countedDay) this.loadTodayCount();
+        }, 60000);
     }
 
     /**
@@ -60,6 +116,10 @@ class PomodoroTimer {
                         <span class="session-label">Phiên đã hoàn thành:</span>
                         <span class="session-count" id="session-count" aria-label="Số phiên đã hoàn thành">0</span>
                     </div>
+                    <div class="session-goals" aria-live="polite">
+                        <span id="cycle-progress" title="Phiên làm việc tới lần nghỉ dài"></span>
+                        <span id="daily-progress" title="Mục tiêu phiên làm việc hôm nay"></span>
+                    </div>
                 </div>
 
                 <!-- Timer Display -->
@@ -80,6 +140,15 @@ class PomodoroTimer {
                                  aria-live="polite">Làm việc</div>
                         </div>
                     </div>
+                    <div class="timer-target" id="timer-target" aria-live="polite"></div>
+                </div>
+
+                <!-- What the sessions are for -->
+                <div class="pomodoro-target">
+                    <label for="target-select">Đang làm:</label>
+                    <select id="target-select" class="target-select">
+                        <option value="">— Không gắn công việc —</option>
+                    </select>
                 </div>
 
                 <!-- Controls -->
@@ -162,12 +231,86 @@ class PomodoroTimer {
                                    aria-describedby="break-duration-desc">
                             <div id="break-duration-desc" class="input-desc">1-60 phút</div>
                         </div>
+                        <div class="input-group">
+                            <label for="long-break-duration">Nghỉ dài (phút):</label>
+                            <input type="number" 
+                                   id="long-break-duration" 
+                                   min="1" 
+                                   max="90" 
+                                   value="15"
+                                   aria-describedby="long-break-duration-desc">
+                            <div id="long-break-duration-desc" class="input-desc">1-90 phút</div>
+                        </div>
+                        <div class="input-group">
+                            <label for="long-break-interval">Nghỉ dài sau mỗi (phiên làm việc):</label>
+                            <input type="number" 
+                                   id="long-break-interval" 
+                                   min="0" 
+                                   max="12" 
+                                   value="4"
+                                   aria-describedby="long-break-interval-desc">
+                            <div id="long-break-interval-desc" class="input-desc">0-12 phiên, 0 = không nghỉ dài</div>
+                        </div>
+                        <div class="input-group">
+                            <label for="daily-goal">Mục tiêu mỗi ngày (phiên):</label>
+                            <input type="number" 
+                                   id="daily-goal" 
+                                   min="1" 
+                                   max="24" 
+                                   value="8"
+                                   aria-describedby="daily-goal-desc">
+                            <div id="daily-goal-desc" class="input-desc">1-24 phiên</div>
+                        </div>
+                        <label class="checkbox-group">
+                            <input type="checkbox" id="auto-start-next">
+                            Tự bắt đầu phiên tiếp theo
+                        </label>
                         <button class="btn btn-primary btn-small" id="apply-custom">
                             Áp dụng
                         </button>
                     </div>
                 </div>
 
+                <!-- Alert Settings -->
+                <div class="alert-settings">
+                    <details>
+                        <summary>🔔 Thông báo & âm thanh</summary>
+                        <div class="alert-options">
+                            <label class="checkbox-group">
+                                <input type="checkbox" id="alert-notifications">
+                                Thông báo hệ thống
+                            </label>
+                            <div class="input-desc" id="alert-permission"></div>
+                            <div class="input-group">
+                                <label for="alert-sound">Âm báo hết giờ:</label>
+                                <div class="sound-picker">
+                                    <select id="alert-sound">
+                                        ${Object.entries(TIMER_SOUNDS).map(([name, sound]) => `<option value="${name}">${sound.label}</option>`).join('')}
+                                        <option value="none">🔇 Tắt</option>
+                                    </select>
+                                    <button class="btn btn-secondary btn-small" id="preview-sound" aria-label="Nghe thử âm báo">▶️ Nghe thử</button>
+                                </div>
+                            </div>
+                            <div class="input-group">
+                                <label for="alert-volume">Âm lượng: <span id="alert-volume-value"></span></label>
+                                <input type="range" id="alert-volume" min="0" max="100" step="5">
+                            </div>
+                            <label class="checkbox-group">
+                                <input type="checkbox" id="alert-ticking">
+                                Tiếng tích tắc khi làm việc
+                            </label>
+                            <div class="input-group">
+                                <label for="tick-volume">Âm lượng tích tắc: <span id="tick-volume-value"></span></label>
+                                <input type="range" id="tick-volume" min="0" max="100" step="5">
+                            </div>
+                            <label class="checkbox-group">
+                                <input type="checkbox" id="alert-flash-title">
+                                Nhấp nháy tiêu đề tab khi hết giờ
+                            </label>
+                        </div>
+                    </details>
+                </div>
+
                 <!-- Keyboard Shortcuts Help -->
                 <div class="keyboard-shortcuts">
                     <details>
@@ -205,16 +348,120 @@ class PomodoroTimer {
             btn.addEventListener('click', () => this.selectPreset(btn.dataset.preset));
         });
 
+        // Target picker; refreshed on focus so todos and blocks added meanwhile show up
+        const targetSelect = document.getElementById('target-select');
+        targetSelect.addEventListener('focus', () => this.loadTargets());
+        targetSelect.addEventListener('change', () => {
+            const choice = this.targets.find(item => item.value === targetSelect.value);
+            this.pomodoro.setTarget(choice ? choice.target : null);
+        });
+
         // Custom duration settings
         const applyCustomBtn = document.getElementById('apply-custom');
         applyCustomBtn.addEventListener('click', () => this.applyCustomSettings());
 
         // Input validation
-        const workInput = document.getElementById('work-duration');
-        const breakInput = document.getElementById('break-duration');
-        
-        workInput.addEventListener('input', () => this.validateCustomInput(workInput, 1, 120));
-        breakInput.addEventListener('input', () => this.validateCustomInput(breakInput, 1, 60));
+        Object.entries(this.getCustomInputs()).forEach(([id, [min, max]]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', () => this.validateCustomInput(input, min, max));
+        });
+
+        this.setupAlertSettings();
+    }
+
+    /**
+     * Fill the alert settings form and save changes as they are made
+     */
+    setupAlertSettings() {
+        const settings = this.alerts.settings;
+        const notifications = document.getElementById('alert-notifications');
+        const sound = document.getElementById('alert-sound');
+        const volume = document.getElementById('alert-volume');
+        const ticking = document.getElementById('alert-ticking');
+        const tickVolume = document.getElementById('tick-volume');
+        const flashTitle = document.getElementById('alert-flash-title');
+
+        notifications.checked = settings.notifications && this.alerts.getPermission() === 'granted';
+        sound.value = TIMER_SOUNDS[settings.sound] ? settings.sound : 'none';
+        volume.value = settings.volume;
+        ticking.checked = settings.ticking;
+        tickVolume.value = settings.tickVolume;
+        flashTitle.checked = settings.flashTitle;
+        this.updateAlertLabels();
+
+        notifications.addEventListener('change', () => this.toggleNotifications(notifications.checked));
+        sound.addEventListener('change', () => {
+            this.alerts.update({ sound: sound.value });
+            this.alerts.playSound();
+        });
+        document.getElementById('preview-sound').addEventListener('click', () => this.alerts.playSound(sound.value));
+        volume.addEventListener('input', () => {
+            this.alerts.update({ volume: parseInt(volume.value) });
+            this.updateAlertLabels();
+        });
+        volume.addEventListener('change', () => this.alerts.playSound());
+        ticking.addEventListener('change', () => {
+            this.alerts.update({ ticking: ticking.checked });
+            this.alerts.tick();
+        });
+        tickVolume.addEventListener('input', () => {
+            this.alerts.update({ tickVolume: parseInt(tickVolume.value) });
+            this.updateAlertLabels();
+        });
+        tickVolume.addEventListener('change', () => this.alerts.tick());
+        flashTitle.addEventListener('change', () => {
+            this.alerts.update({ flashTitle: flashTitle.checked });
+            if (!flashTitle.checked) this.alerts.stopFlashing();
+        });
+    }
+
+    /**
+     * Show the volumes and the notification permission next to their controls
+     */
+    updateAlertLabels() {
+        const settings = this.alerts.settings;
+        document.getElementById('alert-volume-value').textContent = `${settings.volume}%`;
+        document.getElementById('tick-volume-value').textContent = `${settings.tickVolume}%`;
+
+        const permissionTexts = {
+            denied: 'Trình duyệt đang chặn thông báo, hãy cho phép trong cài đặt trang.',
+            unsupported: 'Trình duyệt không hỗ trợ thông báo hệ thống.'
+        };
+        document.getElementById('alert-permission').textContent = permissionTexts[this.alerts.getPermission()] || '';
+    }
+
+    /**
+     * Turn system notifications on (asking for permission first) or off
+     * @param {boolean} enabled - Checkbox state
+     */
+    async toggleNotifications(enabled) {
+        const checkbox = document.getElementById('alert-notifications');
+        if (enabled) {
+            const permission = await this.alerts.requestPermission();
+            if (permission !== 'granted') {
+                checkbox.checked = false;
+                enabled = false;
+                Utils.showNotification(permission === 'unsupported'
+                    ? 'Trình duyệt không hỗ trợ thông báo hệ thống'
+                    : 'Chưa được cấp quyền thông báo', 'warning');
+            }
+        }
+        this.alerts.update({ notifications: enabled });
+        this.updateAlertLabels();
+    }
+
+    /**
+     * Number inputs of the custom form
+     * @returns {Object} Input id -> [min, max]
+     */
+    getCustomInputs() {
+        return {
+            'work-duration': [1, 120],
+            'break-duration': [1, 60],
+            'long-break-duration': [1, 90],
+            'long-break-interval': [0, 12],
+            'daily-goal': [1, 24]
+        };
     }
 
     /**
@@ -222,8 +469,8 @@ class PomodoroTimer {
      */
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
-            // Only handle shortcuts if not focused on input
-            if (e.target.tagName === 'INPUT') return;
+            // Only handle shortcuts if not focused on a form field
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
             
             switch (e.code) {
                 case 'Space':
@@ -271,11 +518,18 @@ class PomodoroTimer {
         this.updateTimer(this.pomodoro.getFormattedTime(), this.pomodoro.getProgress());
         
         // Update mode display
-        const modeText = state.mode === 'work' ? 'Làm việc' : 'Nghỉ ngơi';
+        const modeText = POMODORO_MODE_LABELS[state.mode] || POMODORO_MODE_LABELS.work;
         document.getElementById('timer-mode').textContent = modeText;
         
         // Update session count
         document.getElementById('session-count').textContent = state.completedSessions;
+        this.updateGoals();
+        
+        // Update target
+        document.getElementById('timer-target').textContent = state.target ? `🎯 ${state.target.label}` : '';
+        const targetSelect = document.getElementById('target-select');
+        targetSelect.value = PomodoroTimer.getTargetValue(state.target);
+        targetSelect.disabled = state.isRunning;
         
         // Update start/pause button
         this.updateStartPauseButton(state.isRunning);
@@ -287,6 +541,119 @@ class PomodoroTimer {
         this.container.className = `pomodoro-container mode-${state.mode} ${state.isRunning ? 'running' : 'paused'}`;
     }
 
+    /**
+     * Show how far the cycle and today's goal are
+     */
+    updateGoals() {
+        const state = this.pomodoro.getState();
+        const interval = parseInt(state.longBreakInterval, 10) || 0;
+        document.getElementById('cycle-progress').textContent = interval > 0
+            ? `🔁 ${Math.min(state.cycleCount, interval)}/${interval} tới nghỉ dài`
+            : '';
+        const reached = this.todayCount >= state.dailyGoal;
+        document.getElementById('daily-progress').textContent =
+            `${reached ? '🏆' : '🎯'} Hôm nay: ${this.todayCount}/${state.dailyGoal}`;
+    }
+
+    /**
+     * Count today's completed work sessions from the history
+     * @param {boolean} announce - Congratulate when this reaches the daily goal
+     */
+    async loadTodayCount(announce = false) {
+        const today = Utils.todayKey();
+        this.countedDay = today;
+        try {
+            const sessions = await this.pomodoro.getHistory(today, today);
+            const previous = this.todayCount;
+            this.todayCount = sessions.filter(session => session.mode === 'work' && session.status === 'completed').length;
+            const goal = this.pomodoro.getState().dailyGoal;
+            if (announce && previous < goal && this.todayCount >= goal) {
+                Utils.showNotification(`🏆 Đã đạt mục tiêu ${goal} phiên hôm nay!`, 'success');
+            }
+        } catch (error) {
+            console.error('Error loading Pomodoro history:', error);
+        }
+        if (document.getElementById('daily-progress')) this.updateGoals();
+    }
+
+    /**
+     * Put the saved custom rules into the custom form
+     */
+    fillCustomForm() {
+        const rules = this.pomodoro.getCustomRules();
+        document.getElementById('work-duration').value = rules.workDuration;
+        document.getElementById('break-duration').value = rules.breakDuration;
+        document.getElementById('long-break-duration').value = rules.longBreakDuration;
+        document.getElementById('long-break-interval').value = rules.longBreakInterval;
+        document.getElementById('daily-goal').value = rules.dailyGoal;
+        document.getElementById('auto-start-next').checked = Boolean(rules.autoStartNext);
+    }
+
+    /**
+     * Load open todos and today's unfinished time blocks into the target picker
+     */
+    async loadTargets() {
+        try {
+            const [todos, blocks] = await Promise.all([
+                storageManager.loadAll('todo'),
+                storageManager.loadAll('blocks')
+            ]);
+            const today = Utils.todayKey();
+            this.targets = [
+                ...blocks
+                    .filter(block => block.task && !block.completed && block.type !== 'break' && (!block.date || block.date === today))
+                    .map(block => ({ group: 'blocks', target: PomodoroTimer.getBlockTarget(block) })),
+                ...todos
+                    .filter(todo => !todo.completed)
+                    .map(todo => ({ group: 'todos', target: { todoId: todo.id, label: todo.text } }))
+            ].map(item => ({ ...item, value: PomodoroTimer.getTargetValue(item.target) }));
+        } catch (error) {
+            console.error('Error loading Pomodoro targets:', error);
+        }
+        this.renderTargets();
+    }
+
+    /**
+     * Fill the target picker; the current target stays listed even when it is no longer open
+     */
+    renderTargets() {
+        const select = document.getElementById('target-select');
+        if (!select) return;
+        const current = this.pomodoro.getState().target;
+        const currentValue = PomodoroTimer.getTargetValue(current);
+        const choices = [...this.targets];
+        if (currentValue && !choices.some(item => item.value === currentValue)) {
+            choices.unshift({ group: current.blockId !== undefined ? 'blocks' : 'todos', target: current, value: currentValue });
+        }
+
+        select.innerHTML = '<option value="">— Không gắn công việc —</option>';
+        [['blocks', '📅 Time blocks hôm nay'], ['todos', '📋 Công việc']].forEach(([group, label]) => {
+            const items = choices.filter(item => item.group === group);
+            if (items.length === 0) return;
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            items.forEach(item => optgroup.appendChild(new Option(item.target.label, item.value)));
+            select.appendChild(optgroup);
+        });
+        this.targets = choices;
+        select.value = currentValue;
+    }
+
+    /**
+     * Attribute the following sessions to a todo or time block (not while a session runs)
+     * @param {Object|null} target - { todoId, blockId, label }
+     * @returns {boolean} True if the target was set
+     */
+    selectTarget(target) {
+        if (this.pomodoro.isRunning()) {
+            Utils.showNotification('Hãy tạm dừng timer trước khi đổi công việc!', 'warning');
+            return false;
+        }
+        this.pomodoro.setTarget(target);
+        this.renderTargets();
+        return true;
+    }
+
     /**
      * Update timer display and progress
      */
@@ -308,7 +675,7 @@ class PomodoroTimer {
         const state = this.pomodoro.getState();
         const mode = state.mode === 'work' ? 'Work' : 'Break';
         const icon = state.isRunning ? '🍅' : '⏸️';
-        document.title = `${icon} ${timeText} - ${mode} | TaskManager`;
+        this.alerts.setTitle(`${icon} ${timeText} - ${mode} | TaskManager`);
     }
 
     /**
@@ -343,6 +710,7 @@ class PomodoroTimer {
         
         // Show/hide custom settings
         const customSettings = document.getElementById('custom-settings');
+        if (activePreset === 'custom' && this.currentPreset !== 'custom') this.fillCustomForm();
         customSettings.style.display = activePreset === 'custom' ? 'block' : 'none';
         
         this.currentPreset = activePreset;
@@ -352,6 +720,9 @@ class PomodoroTimer {
      * Toggle timer (start/pause)
      */
     toggleTimer() {
+        // Called from a click or key press, which browsers require before audio may play
+        this.alerts.unlock();
+        this.alerts.stopFlashing();
         this.pomodoro.toggle();
     }
 
@@ -361,7 +732,8 @@ class PomodoroTimer {
     resetTimer() {
         this.pomodoro.reset();
         // Reset page title
-        document.title = 'Pomodoro Timer | TaskManager';
+        this.alerts.stopFlashing();
+        this.alerts.setTitle('Pomodoro Timer | TaskManager');
     }
 
     /**
@@ -386,18 +758,20 @@ class PomodoroTimer {
      * Apply custom duration settings
      */
     applyCustomSettings() {
-        const workInput = document.getElementById('work-duration');
-        const breakInput = document.getElementById('break-duration');
-        
-        const workMinutes = parseInt(workInput.value);
-        const breakMinutes = parseInt(breakInput.value);
+        const inputs = this.getCustomInputs();
+        const valid = Object.entries(inputs)
+            .map(([id, [min, max]]) => this.validateCustomInput(document.getElementById(id), min, max))
+            .every(Boolean);
+        if (!valid) return;
         
-        if (this.validateCustomInput(workInput, 1, 120) && 
-            this.validateCustomInput(breakInput, 1, 60)) {
-            
-            this.pomodoro.setCustomDurations(workMinutes, breakMinutes);
-            Utils.showNotification('Đã cập nhật thiết lập tùy chỉnh!', 'success');
-        }
+        const value = id => parseInt(document.getElementById(id).value);
+        this.pomodoro.setCustomDurations(value('work-duration'), value('break-duration'), {
+            longBreakDuration: value('long-break-duration'),
+            longBreakInterval: value('long-break-interval'),
+            dailyGoal: value('daily-goal'),
+            autoStartNext: document.getElementById('auto-start-next').checked
+        });
+        Utils.showNotification('Đã cập nhật thiết lập tùy chỉnh!', 'success');
     }
 
     /**
@@ -422,11 +796,14 @@ class PomodoroTimer {
      * Handle timer completion
      */
     handleCompletion(data) {
-        const message = data.completedMode === 'work' 
+        let message = data.completedMode === 'work' 
             ? `🎉 Hoàn thành phiên làm việc! Time for a break.`
             : `✅ Nghỉ xong rồi! Ready for work.`;
+        if (data.nextMode === 'longBreak') message = '🎉 Hết một chu kỳ! Nghỉ dài thôi.';
             
         Utils.showNotification(message, 'success');
+        const title = data.completedMode === 'work' ? '🍅 Hết giờ làm việc!' : '⏰ Hết giờ nghỉ!';
+        this.alerts.announce(title, message);
         
         // Flash effect
         this.container.classList.add('flash');
@@ -439,7 +816,7 @@ class PomodoroTimer {
      * Handle mode switch
      */
     handleModeSwitch(data) {
-        const modeText = data.toMode === 'work' ? 'làm việc' : 'nghỉ ngơi';
+        const modeText = (POMODORO_MODE_LABELS[data.toMode] || POMODORO_MODE_LABELS.work).toLowerCase();
         Utils.showNotification(`Chuyển sang chế độ ${modeText}`, 'info');
     }
 
@@ -450,6 +827,9 @@ class PomodoroTimer {
         if (this.pomodoro) {
             this.pomodoro.destroy();
         }
+        this.alerts.destroy();
+        clearInterval(this.dayCheckId);
+        if (this.unsubscribeSessions) this.unsubscribeSessions();
         
         // Remove keyboard event listeners
         document.removeEventListener('keydown', this.keydownHandler);
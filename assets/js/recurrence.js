@@ -0,0 +1,303 @@
+// Repeat rules (an RRULE subset) for recurring todos and calendar events
+// Rule shape: { freq: 'DAILY'|'WEEKLY'|'MONTHLY'|'YEARLY', interval, byDay?: ['MO', ...], byMonthDay?,
+//               byMonth? (yearly, with byMonthDay), bySetPos? (monthly nth weekday, -1 = last),
+//               until?: 'YYYY-MM-DD', count? }
+const RECURRENCE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RECURRENCE_WEEKDAY_LABELS = { MO: 'T2', TU: 'T3', WE: 'T4', TH: 'T5', FR: 'T6', SA: 'T7', SU: 'CN' };
+// Stops runaway expansion of very old daily series
+const RECURRENCE_MAX_STEPS = 20000;
+// Date keys come from Utils (main.js); the server loads it explicitly for the ICS feed
+const RecurrenceUtils = typeof Utils !== 'undefined' ? Utils : require('./main.js').Utils;
+
+class Recurrence {
+    /**
+     * Named rules offered in the UI
+     * @returns {Object} name -> rule
+     */
+    static getPresets() {
+        return {
+            daily: { freq: 'DAILY', interval: 1 },
+            weekdays: { freq: 'WEEKLY', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] },
+            weekly: { freq: 'WEEKLY', interval: 1 },
+            monthly: { freq: 'MONTHLY', interval: 1 }
+        };
+    }
+
+    /**
+     * Parse a preset name or an RRULE string such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+     * @param {string} text - Rule text
+     * @returns {Object|null} Rule, or null for an empty text
+     * @throws {Error} If the text is not a supported rule
+     */
+    static parse(text) {
+        const value = String(text || '').trim();
+        if (!value) return null;
+
+        const preset = this.getPresets()[value.toLowerCase()];
+        if (preset) return { ...preset };
+
+        const parts = {};
+        value.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+            const [key, val] = part.split('=');
+            parts[key.trim().toUpperCase()] = (val || '').trim().toUpperCase();
+        });
+
+        // UNTIL may be written as an RRULE date (20251231) or a date key (2025-12-31)
+        const until = parts.UNTIL ? parts.UNTIL.replace(/^(\d{4})-?(\d{2})-?(\d{2}).*$/, '$1-$2-$3') : undefined;
+
+        // "BYDAY=2TU" (second Tuesday) is the same rule as "BYDAY=TU;BYSETPOS=2"
+        const nthDay = parts.BYDAY && !parts.BYSETPOS ? parts.BYDAY.match(/^([+-]?\d)([A-Z]{2})$/) : null;
+        if (nthDay) {
+            parts.BYDAY = nthDay[2];
+            parts.BYSETPOS = String(Number(nthDay[1]));
+        }
+
+        return this.normalize({
+            freq: parts.FREQ,
+            interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+            byDay: parts.BYDAY ? parts.BYDAY.split(',') : undefined,
+            byMonthDay: parts.BYMONTHDAY ? Number(parts.BYMONTHDAY) : undefined,
+            byMonth: parts.BYMONTH ? Number(parts.BYMONTH) : undefined,
+            bySetPos: parts.BYSETPOS ? Number(parts.BYSETPOS) : undefined,
+            until,
+            count: parts.COUNT ? Number(parts.COUNT) : undefined
+        });
+    }
+
+    /**
+     * Validate a rule object
+     * @param {Object} rule - Rule to check
+     * @returns {Object} Clean copy of the rule
+     * @throws {Error} If the rule is invalid
+     */
+    static normalize(rule) {
+        if (!rule || !['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) {
+            throw new Error('FREQ phải là DAILY, WEEKLY, MONTHLY hoặc YEARLY');
+        }
+        const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+        if (!Number.isInteger(interval) || interval < 1) {
+            throw new Error('INTERVAL phải là số nguyên dương');
+        }
+
+        const clean = { freq: rule.freq, interval };
+        if (rule.byDay && rule.byDay.length > 0) {
+            const nthWeekday = rule.freq === 'MONTHLY' && rule.bySetPos !== undefined;
+            if (rule.freq !== 'WEEKLY' && !nthWeekday) {
+                throw new Error('BYDAY chỉ dùng với FREQ=WEEKLY hoặc FREQ=MONTHLY kèm BYSETPOS');
+            }
+            if (rule.byDay.some(day => !RECURRENCE_WEEKDAYS.includes(day))) {
+                throw new Error('BYDAY chỉ gồm MO, TU, WE, TH, FR, SA, SU');
+            }
+            // Keep week order so descriptions read naturally
+            clean.byDay = RECURRENCE_WEEKDAYS.slice(1).concat('SU').filter(day => rule.byDay.includes(day));
+        }
+        if (rule.bySetPos !== undefined) {
+            const pos = Number(rule.bySetPos);
+            if (rule.freq !== 'MONTHLY' || !clean.byDay || clean.byDay.length !== 1 || ![1, 2, 3, 4, -1].includes(pos)) {
+                throw new Error('BYSETPOS (1-4 hoặc -1) cần FREQ=MONTHLY và đúng một ngày BYDAY');
+            }
+            clean.bySetPos = pos;
+        }
+        if (rule.byMonth !== undefined) {
+            const month = Number(rule.byMonth);
+            if (rule.freq !== 'YEARLY' || !Number.isInteger(month) || month < 1 || month > 12) {
+                throw new Error('BYMONTH phải từ 1 đến 12 và dùng với FREQ=YEARLY');
+            }
+            clean.byMonth = month;
+        }
+        if (rule.byMonthDay !== undefined) {
+            const day = Number(rule.byMonthDay);
+            // Without BYMONTH, a yearly BYMONTHDAY would mean that day of every month
+            const yearly = rule.freq === 'YEARLY' && clean.byMonth;
+            if ((rule.freq !== 'MONTHLY' && !yearly) || !Number.isInteger(day) || day < 1 || day > 31) {
+                throw new Error('BYMONTHDAY phải từ 1 đến 31 và dùng với FREQ=MONTHLY, hoặc FREQ=YEARLY kèm BYMONTH');
+            }
+            clean.byMonthDay = day;
+        }
+        if (rule.until !== undefined && rule.until !== null && rule.until !== '') {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(rule.until)) throw new Error('UNTIL phải là ngày hợp lệ');
+            clean.until = rule.until;
+        }
+        if (rule.count !== undefined && rule.count !== null && rule.count !== '') {
+            const count = Number(rule.count);
+            if (!Number.isInteger(count) || count < 1) throw new Error('COUNT phải là số nguyên dương');
+            if (clean.until) throw new Error('Chỉ dùng một trong UNTIL hoặc COUNT');
+            clean.count = count;
+        }
+        return clean;
+    }
+
+    /**
+     * Format a rule as an RRULE string
+     * @param {Object} rule - Rule
+     * @returns {string} e.g. "FREQ=DAILY;INTERVAL=1"
+     */
+    static format(rule) {
+        if (!rule) return '';
+        let text = `FREQ=${rule.freq};INTERVAL=${rule.interval || 1}`;
+        if (rule.byDay) text += `;BYDAY=${rule.byDay.join(',')}`;
+        if (rule.byMonth) text += `;BYMONTH=${rule.byMonth}`;
+        if (rule.byMonthDay) text += `;BYMONTHDAY=${rule.byMonthDay}`;
+        if (rule.bySetPos) text += `;BYSETPOS=${rule.bySetPos}`;
+        if (rule.until) text += `;UNTIL=${rule.until.replace(/-/g, '')}`;
+        if (rule.count) text += `;COUNT=${rule.count}`;
+        return text;
+    }
+
+    /**
+     * Short Vietnamese description
+     * @param {Object} rule - Rule
+     * @returns {string} e.g. "Mỗi 2 tuần (T2, T5)"
+     */
+    static describe(rule) {
+        if (!rule) return '';
+        const units = { DAILY: 'ngày', WEEKLY: 'tuần', MONTHLY: 'tháng', YEARLY: 'năm' };
+        const everyOne = { DAILY: 'Hàng ngày', WEEKLY: 'Hàng tuần', MONTHLY: 'Hàng tháng', YEARLY: 'Hàng năm' };
+
+        let text = rule.interval > 1 ? `Mỗi ${rule.interval} ${units[rule.freq]}` : everyOne[rule.freq];
+        if (rule.bySetPos) {
+            const position = rule.bySetPos === -1 ? 'cuối cùng' : `thứ ${rule.bySetPos}`;
+            text += ` (${RECURRENCE_WEEKDAY_LABELS[rule.byDay[0]]} ${position})`;
+        } else if (rule.byDay) {
+            const isWeekdays = rule.byDay.join(',') === 'MO,TU,WE,TH,FR';
+            if (isWeekdays && rule.interval === 1) {
+                text = 'Ngày làm việc (T2-T6)';
+            } else {
+                text += ` (${rule.byDay.map(day => RECURRENCE_WEEKDAY_LABELS[day]).join(', ')})`;
+            }
+        }
+        if (rule.byMonthDay) text += rule.byMonth ? ` (ngày ${rule.byMonthDay}/${rule.byMonth})` : ` (ngày ${rule.byMonthDay})`;
+        if (rule.until) text += `, đến ${rule.until.split('-').reverse().join('/')}`;
+        if (rule.count) text += `, ${rule.count} lần`;
+        return text;
+    }
+
+    /**
+     * First occurrence strictly after a date
+     * @param {Object} rule - Rule
+     * @param {string} fromKey - An occurrence date, YYYY-MM-DD
+     * @param {string} startKey - First occurrence; monthly and yearly rules without BYMONTHDAY keep its day
+     * @returns {string} Next occurrence, YYYY-MM-DD
+     */
+    static next(rule, fromKey, startKey = fromKey) {
+        const from = RecurrenceUtils.fromDateKey(fromKey);
+        // Take the day from the series, not from `from`, which may have been clamped in a short month
+        const start = RecurrenceUtils.fromDateKey(startKey);
+        const interval = rule.interval || 1;
+
+        switch (rule.freq) {
+            case 'DAILY':
+                return RecurrenceUtils.toDateKey(this.addDays(from, interval));
+            case 'WEEKLY': {
+                if (!rule.byDay) return RecurrenceUtils.toDateKey(this.addDays(from, 7 * interval));
+                // Later days of this week, else the first matching day `interval` weeks on
+                const fromWeek = this.weekStart(from);
+                for (let offset = 1; offset <= 7 * interval + 7; offset++) {
+                    const candidate = this.addDays(from, offset);
+                    const weeks = Math.round((this.weekStart(candidate) - fromWeek) / (7 * 86400000));
+                    if (weeks % interval === 0 && rule.byDay.includes(RECURRENCE_WEEKDAYS[candidate.getDay()])) {
+                        return RecurrenceUtils.toDateKey(candidate);
+                    }
+                }
+                return RecurrenceUtils.toDateKey(this.addDays(from, 7 * interval));
+            }
+            case 'MONTHLY': {
+                if (rule.bySetPos) {
+                    const target = new Date(from.getFullYear(), from.getMonth() + interval, 1, 12);
+                    return RecurrenceUtils.toDateKey(this.nthWeekday(target.getFullYear(), target.getMonth(), rule.byDay[0], rule.bySetPos));
+                }
+                const day = rule.byMonthDay || start.getDate();
+                return RecurrenceUtils.toDateKey(this.clampedDate(from.getFullYear(), from.getMonth() + interval, day));
+            }
+            case 'YEARLY': {
+                const month = rule.byMonth ? rule.byMonth - 1 : start.getMonth();
+                const day = rule.byMonthDay || start.getDate();
+                return RecurrenceUtils.toDateKey(this.clampedDate(from.getFullYear() + interval, month, day));
+            }
+            default:
+                throw new Error(`Unknown FREQ: ${rule.freq}`);
+        }
+    }
+
+    /**
+     * First occurrence after `afterKey`, stepping from a known occurrence
+     * @param {Object} rule - Rule
+     * @param {string} occurrenceKey - A known occurrence, YYYY-MM-DD
+     * @param {string} afterKey - Result must be later than this, YYYY-MM-DD
+     * @returns {string} Occurrence date, YYYY-MM-DD
+     */
+    static nextAfter(rule, occurrenceKey, afterKey) {
+        let next = this.next(rule, occurrenceKey);
+        while (next <= afterKey) {
+            next = this.next(rule, next);
+        }
+        return next;
+    }
+
+    /**
+     * Occurrence dates of a series inside a date range, honouring UNTIL, COUNT and skipped dates
+     * @param {Object} rule - Rule
+     * @param {string} startKey - First occurrence, YYYY-MM-DD
+     * @param {string} fromKey - Range start (inclusive)
+     * @param {string} toKey - Range end (inclusive)
+     * @param {Array<string>} exdates - Skipped occurrence dates
+     * @returns {Array<string>} Occurrence dates
+     */
+    static between(rule, startKey, fromKey, toKey, exdates = []) {
+        const skipped = new Set(exdates);
+        const dates = [];
+        let key = startKey;
+        // Skipped dates still count towards COUNT, as in RFC 5545
+        for (let n = 1; key <= toKey && n <= RECURRENCE_MAX_STEPS; n++) {
+            if (rule.count && n > rule.count) break;
+            if (rule.until && key > rule.until) break;
+            if (key >= fromKey && !skipped.has(key)) dates.push(key);
+            key = this.next(rule, key, startKey);
+        }
+        return dates;
+    }
+
+    /**
+     * Describe a date as its weekday position in the month, for "monthly on the nth weekday" rules
+     * @param {string} key - Date, YYYY-MM-DD
+     * @returns {Object} { byDay: ['MO'], bySetPos } where bySetPos is 1-4, or -1 for the last one
+     */
+    static weekdayPosition(key) {
+        const date = RecurrenceUtils.fromDateKey(key);
+        const nth = Math.ceil(date.getDate() / 7);
+        return { byDay: [RECURRENCE_WEEKDAYS[date.getDay()]], bySetPos: nth > 4 ? -1 : nth };
+    }
+
+    static nthWeekday(year, month, dayCode, pos) {
+        const weekday = RECURRENCE_WEEKDAYS.indexOf(dayCode);
+        if (pos === -1) {
+            const last = new Date(year, month + 1, 0, 12);
+            return this.addDays(last, -((last.getDay() - weekday + 7) % 7));
+        }
+        const first = new Date(year, month, 1, 12);
+        return this.addDays(first, (weekday - first.getDay() + 7) % 7 + (pos - 1) * 7);
+    }
+
+    // Date helpers work at local noon so DST shifts never change the day
+    static addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    static weekStart(date) {
+        // Weeks start on Monday
+        return this.addDays(date, -((date.getDay() + 6) % 7));
+    }
+
+    static clampedDate(year, month, day) {
+        // new Date handles month overflow; day 0 of the next month is the last day of this one
+        const lastDay = new Date(year, month + 1, 0, 12).getDate();
+        return new Date(year, month, Math.min(day, lastDay), 12);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Recurrence };
+}
@@ -0,0 +1,351 @@
+// Busy/free time across calendar events and time blocks: overlap checks and free-slot search
+// Times are minutes since midnight on the clock of the display timezone (Utils.getTimeZone()).
+// An event without an end time occupies SCHEDULE_DEFAULT_MINUTES; all-day events never block a time.
+const SCHEDULE_DEFAULT_MINUTES = 60;
+// Proposed slots start on this grid (same snap as dragging in the calendar)
+const SCHEDULE_STEP_MINUTES = 15;
+const SCHEDULE_DAY_START = '08:00';
+const SCHEDULE_DAY_END = '18:00';
+// Stops a huge date range from scanning years of days
+const SCHEDULE_MAX_DAYS = 62;
+// Day planner: a break after this much work (calendar events count as work), todos without an
+// estimate, and the shortest piece a todo is split into
+const SCHEDULE_FOCUS_MINUTES = 90;
+const SCHEDULE_BREAK_MINUTES = 15;
+const SCHEDULE_DEFAULT_ESTIMATE = 25;
+const SCHEDULE_MIN_CHUNK = 15;
+const SCHEDULE_PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+const SCHEDULE_BREAK_TASK = '☕ Nghỉ giải lao';
+
+class Schedule {
+    /**
+     * Date and times of an event (or one occurrence) on the clock of the display timezone.
+     * Events keep the timezone they were created in; an end that falls on the next day is cut at 23:59.
+     * @param {Object} event - Stored event
+     * @param {string} date - Date in the event's own timezone, defaults to event.date
+     * @returns {{date: string, time: string, endTime: string}}
+     */
+    static toDisplayTime(event, date = event.date) {
+        const zone = Utils.getTimeZone();
+        if (!event.time || !event.timeZone || event.timeZone === zone) {
+            return { date, time: event.time, endTime: event.endTime };
+        }
+        const start = Utils.convertWallTime(date, event.time, event.timeZone, zone);
+        let endTime = event.endTime;
+        if (endTime) {
+            const endDate = endTime > event.time ? date : Utils.addDaysToKey(date, 1);
+            const end = Utils.convertWallTime(endDate, endTime, event.timeZone, zone);
+            endTime = end.date === start.date ? end.time : '23:59';
+        }
+        return { date: start.date, time: start.time, endTime };
+    }
+
+    /**
+     * Events and generated occurrences of recurring series within a date range of the display timezone
+     * @param {Array} events - Stored calendar events
+     * @param {string} fromKey - First date, YYYY-MM-DD
+     * @param {string} toKey - Last date, YYYY-MM-DD
+     * @returns {Array} Events sorted by date and time; occurrences carry occurrenceDate
+     */
+    static expand(events, fromKey, toKey) {
+        // Events from other timezones can shift by a day, so look one day further each way
+        const from = Utils.addDaysToKey(fromKey, -1);
+        const to = Utils.addDaysToKey(toKey, 1);
+        const occurrences = [];
+        const add = (event, date, occurrenceDate) => {
+            const shown = this.toDisplayTime(event, date);
+            if (shown.date < fromKey || shown.date > toKey) return;
+            occurrences.push(occurrenceDate ? { ...event, ...shown, occurrenceDate } : { ...event, ...shown });
+        };
+        events.forEach(event => {
+            if (!event.recurrence) {
+                if (event.date >= from && event.date <= to) add(event, event.date);
+                return;
+            }
+            Recurrence.between(event.recurrence, event.date, from, to, event.exdates || [])
+                .forEach(date => add(event, date, date));
+        });
+        return occurrences.sort((a, b) =>
+            a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || '')
+        );
+    }
+
+    static toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    static toTime(minutes) {
+        const clamped = Math.max(0, Math.min(24 * 60 - 1, minutes));
+        return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Start and end minutes of a timed event occurrence
+     * @param {{time: string, endTime?: string}} event - Occurrence in display time
+     * @returns {{start: number, end: number}|null} null for all-day events
+     */
+    static getRange(event) {
+        if (!event.time) return null;
+        const start = this.toMinutes(event.time);
+        const end = event.endTime && event.endTime > event.time
+            ? this.toMinutes(event.endTime)
+            : Math.min(start + SCHEDULE_DEFAULT_MINUTES, 24 * 60);
+        return { start, end };
+    }
+
+    /**
+     * Busy intervals of each day in a range, merged and sorted
+     * @param {Object} sources - { events: stored calendar events, blocks: time blocks }
+     * @param {string} fromKey - First date, YYYY-MM-DD
+     * @param {string} toKey - Last date, YYYY-MM-DD
+     * @returns {Map<string, Array<{start: number, end: number}>>} date -> intervals
+     */
+    static getBusy({ events = [], blocks = [] }, fromKey, toKey) {
+        const busy = new Map();
+        const push = (date, range) => {
+            if (!busy.has(date)) busy.set(date, []);
+            busy.get(date).push(range);
+        };
+
+        this.expand(events, fromKey, toKey).forEach(event => {
+            const range = this.getRange(event);
+            if (range) push(event.date, range);
+        });
+        // Blocks are a plan for the day they were generated (older ones have no date: today);
+        // only blocks with a task take time away
+        const today = Utils.todayKey();
+        blocks.forEach(block => {
+            const date = block.date || today;
+            if (!block.task || date < fromKey || date > toKey) return;
+            push(date, { start: this.toMinutes(block.startTime), end: this.toMinutes(block.endTime) });
+        });
+
+        busy.forEach((ranges, date) => busy.set(date, this.mergeRanges(ranges)));
+        return busy;
+    }
+
+    static mergeRanges(ranges) {
+        const merged = [];
+        [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Open stretches of a window once the busy intervals are taken out
+     * @param {Array<{start: number, end: number}>} busy - Merged busy intervals
+     * @param {number} windowStart - Minutes
+     * @param {number} windowEnd - Minutes
+     * @returns {Array<{start: number, end: number}>}
+     */
+    static getGaps(busy, windowStart, windowEnd) {
+        const gaps = [];
+        let cursor = windowStart;
+        busy.forEach(({ start, end }) => {
+            if (end <= cursor || start >= windowEnd) return;
+            if (start > cursor) gaps.push({ start: cursor, end: start });
+            cursor = Math.max(cursor, end);
+        });
+        if (cursor < windowEnd) gaps.push({ start: cursor, end: windowEnd });
+        return gaps;
+    }
+
+    /**
+     * Timed events that overlap a new or edited event on the same date
+     * @param {Array} events - Stored calendar events
+     * @param {{date: string, time: string, endTime?: string}} candidate - In display time
+     * @param {string} ignoreId - Event being edited (its own occurrences never conflict)
+     * @returns {Array} Overlapping occurrences
+     */
+    static findConflicts(events, candidate, ignoreId = null) {
+        const range = this.getRange(candidate);
+        if (!range) return [];
+        return this.expand(events, candidate.date, candidate.date).filter(event => {
+            if (ignoreId && String(event.id) === String(ignoreId)) return false;
+            const other = this.getRange(event);
+            return other && other.start < range.end && range.start < other.end;
+        });
+    }
+
+    /**
+     * Propose start times where an activity of the given length fits
+     * @param {Object} sources - { events, blocks }
+     * @param {Object} options - { duration (minutes), from, to (YYYY-MM-DD), dayStart, dayEnd ('HH:MM'), limit }
+     * @returns {Array<{date: string, time: string, endTime: string}>} Earliest first, one per open stretch
+     */
+    static findFreeSlots(sources, options) {
+        const duration = parseInt(options.duration, 10);
+        if (!(duration > 0)) throw new Error('Thời lượng phải lớn hơn 0 phút');
+        const from = options.from || Utils.todayKey();
+        const to = options.to || from;
+        if (to < from) throw new Error('Ngày kết thúc phải sau ngày bắt đầu');
+        const dayStart = this.toMinutes(options.dayStart || SCHEDULE_DAY_START);
+        const dayEnd = this.toMinutes(options.dayEnd || SCHEDULE_DAY_END);
+        if (dayEnd <= dayStart) throw new Error('Giờ kết thúc phải sau giờ bắt đầu');
+        const limit = options.limit || 10;
+
+        const cap = Utils.addDaysToKey(from, SCHEDULE_MAX_DAYS - 1);
+        const last = to < cap ? to : cap;
+        const busy = this.getBusy(sources, from, last);
+        const now = Utils.getZonedParts(new Date());
+        const slots = [];
+
+        for (let date = from; date <= last && slots.length < limit; date = Utils.addDaysToKey(date, 1)) {
+            if (date < now.date) continue;
+            // Today only offers times that are still ahead
+            const earliest = date === now.date
+                ? Math.max(dayStart, Math.ceil(this.toMinutes(now.time) / SCHEDULE_STEP_MINUTES) * SCHEDULE_STEP_MINUTES)
+                : dayStart;
+            this.getGaps(busy.get(date) || [], earliest, dayEnd).forEach(gap => {
+                const start = Math.ceil(gap.start / SCHEDULE_STEP_MINUTES) * SCHEDULE_STEP_MINUTES;
+                if (slots.length < limit && start + duration <= gap.end) {
+                    slots.push({ date, time: this.toTime(start), endTime: this.toTime(start + duration) });
+                }
+            });
+        }
+        return slots;
+    }
+
+    static getBlockMinutes(block) {
+        return this.toMinutes(block.endTime) - this.toMinutes(block.startTime);
+    }
+
+    /**
+     * Lay blocks out again in the given order, keeping each block's length. Blocks copied from a
+     * calendar event (eventId) and the busy intervals stay where they are; the others follow each
+     * other from the earliest start and skip over them.
+     * @param {Array} blocks - Blocks in the wanted order (times are changed in place)
+     * @param {Array<{start: number, end: number}>} busy - Other fixed times, e.g. today's events
+     * @returns {Array} The blocks sorted by start time, index renumbered
+     */
+    static reflow(blocks, busy = []) {
+        if (blocks.length === 0) return blocks;
+        const fixed = this.mergeRanges([
+            ...busy,
+            ...blocks.filter(block => block.eventId)
+                .map(block => ({ start: this.toMinutes(block.startTime), end: this.toMinutes(block.endTime) }))
+        ]);
+
+        let cursor = Math.min(...blocks.map(block => this.toMinutes(block.startTime)));
+        blocks.forEach(block => {
+            if (block.eventId) return;
+            const length = this.getBlockMinutes(block);
+            // Ranges are sorted, so one pass pushes the cursor past every overlap
+            fixed.forEach(range => {
+                if (cursor < range.end && range.start < cursor + length) cursor = range.end;
+            });
+            block.startTime = this.toTime(cursor);
+            block.endTime = this.toTime(cursor + length);
+            cursor += length;
+        });
+
+        blocks.sort((a, b) => a.startTime.localeCompare(b.startTime));
+        blocks.forEach((block, index) => { block.index = index; });
+        return blocks;
+    }
+
+    /**
+     * Open todos in planning order: priority, then due date and time, then age.
+     * Repeating todos wait until their next occurrence is due.
+     * @param {Array} todos - Todos
+     * @param {string} date - Day being planned, YYYY-MM-DD
+     * @returns {Array}
+     */
+    static sortForPlanning(todos, date) {
+        const rank = todo => SCHEDULE_PRIORITY_RANK[todo.priority] ?? SCHEDULE_PRIORITY_RANK.medium;
+        return todos
+            .filter(todo => !todo.completed && !(todo.recurrence && todo.dueDate && todo.dueDate > date))
+            .sort((a, b) =>
+                rank(a) - rank(b) ||
+                (a.dueDate || '9999-12-31').localeCompare(b.dueDate || '9999-12-31') ||
+                (a.dueTime || '99:99').localeCompare(b.dueTime || '99:99') ||
+                String(a.createdAt || '').localeCompare(String(b.createdAt || ''))
+            );
+    }
+
+    /**
+     * Fill a day with time blocks: calendar events stay where they are, open todos fill the
+     * time around them in planning order (split when they do not fit), with breaks in between.
+     * @param {Object} sources - { todos, events }
+     * @param {Object} options - { date, dayStart, dayEnd ('HH:MM'), focusMinutes, breakMinutes, defaultEstimate }
+     * @returns {{blocks: Array, unplanned: Array}} Blocks in time order; todos that did not fit
+     */
+    static planDay({ todos = [], events = [] }, options = {}) {
+        const date = options.date || Utils.todayKey();
+        const dayStart = this.toMinutes(options.dayStart || SCHEDULE_DAY_START);
+        const dayEnd = this.toMinutes(options.dayEnd || SCHEDULE_DAY_END);
+        if (dayEnd <= dayStart) throw new Error('Giờ kết thúc phải sau giờ bắt đầu');
+        const focus = parseInt(options.focusMinutes, 10) || SCHEDULE_FOCUS_MINUTES;
+        const breakLength = parseInt(options.breakMinutes, 10) || SCHEDULE_BREAK_MINUTES;
+        const defaultEstimate = parseInt(options.defaultEstimate, 10) || SCHEDULE_DEFAULT_ESTIMATE;
+        if (focus < SCHEDULE_MIN_CHUNK) throw new Error(`Thời gian làm việc trước khi nghỉ tối thiểu ${SCHEDULE_MIN_CHUNK} phút`);
+
+        // Nothing is planned in the past
+        const now = Utils.getZonedParts(new Date());
+        const earliest = date === now.date
+            ? Math.max(dayStart, Math.ceil(this.toMinutes(now.time) / SCHEDULE_STEP_MINUTES) * SCHEDULE_STEP_MINUTES)
+            : dayStart;
+
+        const blocks = [];
+        const addBlock = (start, end, fields) => {
+            const startTime = this.toTime(start);
+            const endTime = this.toTime(end);
+            if (blocks.some(block => block.startTime === startTime && block.endTime === endTime)) return;
+            blocks.push({ id: Utils.generateId(), date, startTime, endTime, task: '', completed: false, ...fields });
+        };
+
+        // Fixed events become blocks of their own
+        this.expand(events, date, date).forEach(event => {
+            const range = this.getRange(event);
+            if (!range) return;
+            const start = Math.max(range.start, dayStart);
+            const end = Math.min(range.end, dayEnd);
+            if (end > start) addBlock(start, end, { task: `📅 ${event.title}`, type: 'meeting', eventId: event.id });
+        });
+
+        const busy = this.getBusy({ events }, date, date).get(date) || [];
+        const queue = this.sortForPlanning(todos, date)
+            .map(todo => ({ todo, remaining: parseInt(todo.estimate, 10) || defaultEstimate }));
+        // Start of the current stretch of work since the last break
+        let focusStart = null;
+
+        this.getGaps(busy, earliest, dayEnd).forEach(gap => {
+            let cursor = gap.start;
+            while (queue.length > 0 && gap.end - cursor >= Math.min(SCHEDULE_MIN_CHUNK, queue[0].remaining)) {
+                if (focusStart === null) focusStart = cursor;
+                const breakAt = focusStart + focus;
+                // Break when the stretch is over, or when only a sliver of it is left for a longer todo
+                if (cursor >= breakAt || (breakAt - cursor < SCHEDULE_MIN_CHUNK && queue[0].remaining > breakAt - cursor)) {
+                    const end = Math.min(cursor + breakLength, gap.end);
+                    addBlock(cursor, end, { task: SCHEDULE_BREAK_TASK, type: 'break' });
+                    cursor = end;
+                    focusStart = null;
+                    continue;
+                }
+                const item = queue[0];
+                const length = Math.min(item.remaining, breakAt - cursor, gap.end - cursor);
+                addBlock(cursor, cursor + length, { task: item.todo.text, type: 'deep', todoId: item.todo.id });
+                cursor += length;
+                item.remaining -= length;
+                if (item.remaining <= 0) queue.shift();
+            }
+        });
+
+        blocks.sort((a, b) => a.startTime.localeCompare(b.startTime));
+        blocks.forEach((block, index) => { block.index = index; });
+        // A todo that got only part of its time is still listed as unplanned
+        return { blocks, unplanned: queue.map(item => item.todo) };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Schedule };
+}
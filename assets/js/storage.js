@@ -4,9 +4,46 @@ class StorageManager {
         this.storageKeys = {
             todo: 'todos',
             calendar: 'calendar-events',
-            blocks: 'time-blocks'
+            blocks: 'time-blocks',
+            sessions: 'pomodoro-sessions'
+        };
+        this.apiEndpoints = {
+            todo: 'todos',
+            calendar: 'calendar-events',
+            blocks: 'time-blocks',
+            sessions: 'pomodoro-sessions'
         };
         this.apiBase = '/api';
+        this.outboxKey = 'sync-outbox';
+        this.syncRetryMs = 30000;
+        // Answers meaning the request itself is invalid; anything else (e.g. an expired login) is retried
+        this.rejectedStatuses = [400, 404, 422];
+        this.flushing = null;
+        // Identifies this tab so it can skip echoes of its own changes
+        this.clientId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+        this.listeners = {};
+        this.channel = null;
+        this.eventSource = null;
+        this.trashKey = 'trash';
+        this.trashRetentionDays = 30;
+        // Undo history lives per browser tab, shared by all three data types
+        this.historyKey = 'undo-history';
+        this.historyLimit = 20;
+        this.history = this.loadHistory();
+
+        this.startBackgroundSync();
+        this.setupCrossTabSync();
+    }
+
+    /**
+     * Build request headers, adding the Bearer token when logged in
+     * @param {Object} headers - Base headers
+     * @returns {Object} Headers with Authorization if a token exists
+     */
+    getAuthHeaders(headers = {}) {
+        const token = localStorage.getItem('auth_token');
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        return headers;
     }
 
     /**
@@ -16,35 +53,70 @@ class StorageManager {
      */
     async loadAll(type) {
         try {
-            const key = this.storageKeys[type];
-            if (!key) {
-                throw new Error(`Unknown storage type: ${type}`);
+            const key = this.getKey(type);
+            const path = this.apiEndpoints[type];
+
+            // Push pending local changes first so the server copy does not overwrite them
+            if (this.hasPending(path)) {
+                await this.flush();
             }
 
-            // Use backend for todos if available
-            if (type === 'todo') {
+            // Use backend if available; mirror into local as cache
+            if (!this.hasPending(path)) {
                 try {
-                    const headers = { 'Accept': 'application/json' };
-                    const token = localStorage.getItem('auth_token');
-                    if (token) headers['Authorization'] = `Bearer ${token}`;
-                    const res = await fetch(`${this.apiBase}/todos`, { headers });
+                    const headers = this.getAuthHeaders({ 'Accept': 'application/json' });
+                    const res = await fetch(`${this.apiBase}/${path}`, { headers });
                     if (res.ok) {
                         const data = await res.json();
-                        return Array.isArray(data) ? data : [];
+                        const items = Array.isArray(data) ? data : [];
+                        localStorage.setItem(key, JSON.stringify(items));
+                        return items;
                     }
                 } catch (_) {
                     // fallback to local
                 }
             }
             
-            const data = localStorage.getItem(key);
-            return data ? JSON.parse(data) : [];
+            return this.readLocal(key);
         } catch (error) {
             console.error(`Error loading ${type} data:`, error);
             return [];
         }
     }
 
+    /**
+     * Load the items the server selects with query parameters, e.g. a date range
+     * @param {string} type - Data type whose endpoint supports the parameters, e.g. 'sessions'
+     * @param {Object} params - Query parameters, e.g. { from, to }
+     * @returns {Promise<Array|null>} Matching items, or null when the server cannot answer
+     *   (the caller then filters the local cache)
+     */
+    async loadQuery(type, params) {
+        try {
+            const key = this.getKey(type);
+            const path = this.apiEndpoints[type];
+
+            if (this.hasPending(path)) {
+                await this.flush();
+            }
+            if (this.hasPending(path)) return null;
+
+            const headers = this.getAuthHeaders({ 'Accept': 'application/json' });
+            const res = await fetch(`${this.apiBase}/${path}?${new URLSearchParams(params)}`, { headers });
+            if (!res.ok) return null;
+            const data = await res.json();
+            const items = Array.isArray(data) ? data : [];
+
+            // Merge into the local cache so the same query still works offline
+            const cached = new Map(this.readLocal(key).map(item => [String(item.id), item]));
+            items.forEach(item => cached.set(String(item.id), item));
+            localStorage.setItem(key, JSON.stringify([...cached.values()]));
+            return items;
+        } catch (_) {
+            return null;
+        }
+    }
+
     /**
      * Save all items of a specific type
      * @param {string} type - 'todo', 'calendar', or 'blocks'
@@ -53,34 +125,508 @@ class StorageManager {
      */
     async saveAll(type, items) {
         try {
-            const key = this.storageKeys[type];
-            if (!key) {
-                throw new Error(`Unknown storage type: ${type}`);
+            const key = this.getKey(type);
+
+            // Write local first; the backend copy follows now or via the outbox
+            localStorage.setItem(key, JSON.stringify(items));
+            await this.send({ type, method: 'PUT', path: this.apiEndpoints[type], body: items });
+            this.broadcast(type);
+        } catch (error) {
+            console.error(`Error saving ${type} data:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a single item
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     * @param {Object} item - Item to create (must carry its id)
+     * @returns {Promise<Object>} Created item
+     */
+    async create(type, item) {
+        try {
+            const key = this.getKey(type);
+            const items = this.readLocal(key);
+            items.push(item);
+            localStorage.setItem(key, JSON.stringify(items));
+
+            // Only todos and Pomodoro sessions have single-item endpoints on the backend
+            if (type === 'todo' || type === 'sessions') {
+                await this.send({ type, id: item.id, method: 'POST', path: this.apiEndpoints[type], body: item });
+            }
+            this.broadcast(type);
+            return item;
+        } catch (error) {
+            console.error(`Error creating ${type} item:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update fields of a single item
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     * @param {string|number} id - Item id
+     * @param {Object} changes - Fields to change (use null to clear a field)
+     * @returns {Promise<Object|null>} Updated item, or null if not cached locally
+     */
+    async update(type, id, changes) {
+        try {
+            const key = this.getKey(type);
+            const items = this.readLocal(key);
+            const index = items.findIndex(item => String(item.id) === String(id));
+            const baseVersion = index !== -1 ? items[index].version : undefined;
+            if (index !== -1) {
+                items[index] = { ...items[index], ...changes };
+                localStorage.setItem(key, JSON.stringify(items));
             }
 
-            // Push to backend for todos; mirror into local as cache
             if (type === 'todo') {
-                try {
-                    const headers = { 'Content-Type': 'application/json' };
-                    const token = localStorage.getItem('auth_token');
-                    if (token) headers['Authorization'] = `Bearer ${token}`;
-                    await fetch(`${this.apiBase}/todos`, {
-                        method: 'PUT',
-                        headers,
-                        body: JSON.stringify(items)
-                    });
-                } catch (_) {
-                    // ignore network error; still write to local
-                }
+                // The version we edited from lets the server spot concurrent edits
+                await this.send({
+                    type,
+                    id,
+                    method: 'PATCH',
+                    path: `${this.apiEndpoints[type]}/${encodeURIComponent(id)}`,
+                    body: { ...changes, version: baseVersion }
+                });
             }
-            
+            this.broadcast(type);
+            return index !== -1 ? this.findLocal(type, id) : null;
+        } catch (error) {
+            console.error(`Error updating ${type} item:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a single item
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     * @param {string|number} id - Item id
+     * @returns {Promise<void>}
+     */
+    async remove(type, id) {
+        try {
+            const key = this.getKey(type);
+            const removed = this.findLocal(type, id);
+            const items = this.readLocal(key).filter(item => String(item.id) !== String(id));
             localStorage.setItem(key, JSON.stringify(items));
+
+            if (type === 'todo') {
+                const version = removed && removed.version !== undefined ? `?version=${removed.version}` : '';
+                await this.send({
+                    type,
+                    id,
+                    method: 'DELETE',
+                    path: `${this.apiEndpoints[type]}/${encodeURIComponent(id)}${version}`,
+                    // null marks "I deleted it" for conflict resolution
+                    mine: null
+                });
+            }
+            this.broadcast(type);
         } catch (error) {
-            console.error(`Error saving ${type} data:`, error);
+            console.error(`Error removing ${type} item:`, error);
             throw error;
         }
     }
 
+    /**
+     * Resolve the localStorage key for a type
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     * @returns {string} Storage key
+     */
+    getKey(type) {
+        const key = this.storageKeys[type];
+        if (!key) {
+            throw new Error(`Unknown storage type: ${type}`);
+        }
+        return key;
+    }
+
+    /**
+     * Read the locally cached items for a storage key
+     * @param {string} key - localStorage key
+     * @returns {Array} Cached items
+     */
+    readLocal(key) {
+        const data = localStorage.getItem(key);
+        return data ? JSON.parse(data) : [];
+    }
+
+    /**
+     * Find a locally cached item
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     * @param {string|number} id - Item id
+     * @returns {Object|null} Cached item
+     */
+    findLocal(type, id) {
+        return this.readLocal(this.getKey(type)).find(item => String(item.id) === String(id)) || null;
+    }
+
+    /**
+     * Copy server-assigned version/updatedAt onto cached items
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     * @param {Array} serverItems - Items as returned by the server
+     */
+    applyServerVersions(type, serverItems) {
+        const key = this.getKey(type);
+        const byId = new Map(serverItems.filter(Boolean).map(item => [String(item.id), item]));
+        const items = this.readLocal(key).map(item => {
+            const saved = byId.get(String(item.id));
+            return saved ? { ...item, version: saved.version, updatedAt: saved.updatedAt } : item;
+        });
+        localStorage.setItem(key, JSON.stringify(items));
+    }
+
+    /**
+     * Send a mutation to the backend, queueing it in the outbox when offline
+     * @param {Object} mutation - { type, id, method, path, body }
+     * @returns {Promise<boolean>} True if the server accepted it right away
+     */
+    async send(mutation) {
+        // The API is per-user; without a login the data only lives locally
+        if (!localStorage.getItem('auth_token')) return false;
+
+        // Keep mutations in order: anything behind a pending one waits too
+        if (this.getOutbox().length > 0) {
+            this.enqueue(mutation);
+            this.flush();
+            return false;
+        }
+
+        const { result, data } = await this.dispatch(mutation);
+        if (result === 'retry') {
+            this.enqueue(mutation);
+            return false;
+        }
+        this.handleResponse(mutation, result, data);
+        return result === 'done';
+    }
+
+    /**
+     * Perform one mutation request
+     * @param {Object} mutation - { type, id, method, path, body }
+     * @returns {Promise<Object>} { result, data } where result is 'done', 'conflict' (409),
+     *   'rejected' (400/404/422, not retried) or 'retry' (offline, 401/403, 5xx...)
+     */
+    async dispatch(mutation) {
+        try {
+            const headers = this.getAuthHeaders({
+                'Content-Type': 'application/json',
+                'X-Client-Id': this.clientId
+            });
+            const res = await fetch(`${this.apiBase}/${mutation.path}`, {
+                method: mutation.method,
+                headers,
+                body: mutation.body !== undefined ? JSON.stringify(mutation.body) : undefined
+            });
+            const data = await res.json().catch(() => null);
+            if (res.ok) return { result: 'done', data };
+            if (res.status === 409) return { result: 'conflict', data };
+            return { result: this.rejectedStatuses.includes(res.status) ? 'rejected' : 'retry', data };
+        } catch (_) {
+            return { result: 'retry', data: null };
+        }
+    }
+
+    /**
+     * Apply a server answer: record new versions, or report conflicts
+     * @param {Object} mutation - The mutation that was sent
+     * @param {string} result - Result from dispatch()
+     * @param {*} data - Parsed response body
+     */
+    handleResponse(mutation, result, data) {
+        if (result === 'rejected') {
+            this.reportRejected(mutation, data);
+            return;
+        }
+        if (!mutation.type || !data) return;
+
+        if (result === 'done') {
+            const saved = Array.isArray(data.todos) ? data.todos : [data];
+            this.applyServerVersions(mutation.type, saved.filter(item => item && item.id !== undefined));
+            return;
+        }
+
+        if (result === 'conflict') {
+            const theirsList = Array.isArray(data.conflicts) ? data.conflicts : [data.current];
+            theirsList.filter(Boolean).forEach(theirs => {
+                let mine = mutation.mine;
+                if (Array.isArray(mutation.body)) {
+                    mine = mutation.body.find(item => String(item.id) === String(theirs.id)) || null;
+                } else if (mine === undefined) {
+                    mine = this.findLocal(mutation.type, theirs.id);
+                }
+                window.dispatchEvent(new CustomEvent('sync-conflict', {
+                    detail: { type: mutation.type, id: theirs.id, mine, theirs }
+                }));
+            });
+        }
+    }
+
+    /**
+     * Tell the user a change was dropped because the server refused it
+     * @param {Object} mutation - The mutation that was sent
+     * @param {*} data - Parsed response body
+     */
+    reportRejected(mutation, data) {
+        console.warn(`Dropping rejected sync entry: ${mutation.method} ${mutation.path}`, data);
+        // Deleting something that is already gone on the server is not worth a warning
+        if (mutation.method === 'DELETE') return;
+        const reason = data && data.error ? `: ${data.error}` : '';
+        Utils.showNotification(`Máy chủ từ chối một thay đổi, thay đổi này không được đồng bộ${reason}`, 'error');
+    }
+
+    /**
+     * Settle a conflict reported through the 'sync-conflict' event
+     * @param {Object} conflict - Event detail: { type, id, mine, theirs }
+     * @param {string} choice - 'mine', 'theirs' or 'both'
+     * @returns {Promise<Array>} The resulting local items of that type
+     */
+    async resolveConflict(conflict, choice) {
+        const { type, id, mine, theirs } = conflict;
+        const key = this.getKey(type);
+        const items = this.readLocal(key).filter(item => String(item.id) !== String(id));
+
+        if (choice === 'mine' && mine) {
+            // Re-apply my copy on top of the server's current version
+            const { version, updatedAt, ...fields } = mine;
+            items.push({ ...mine, version: theirs.version });
+            localStorage.setItem(key, JSON.stringify(items));
+            await this.update(type, id, fields);
+        } else if (choice === 'mine') {
+            // I deleted it: delete again against the current version
+            items.push(theirs);
+            localStorage.setItem(key, JSON.stringify(items));
+            await this.remove(type, id);
+        } else {
+            items.push(theirs);
+            localStorage.setItem(key, JSON.stringify(items));
+            if (choice === 'both' && mine) {
+                const { version, updatedAt, ...fields } = mine;
+                await this.create(type, { ...fields, id: Date.now() });
+            }
+        }
+
+        return this.readLocal(key);
+    }
+
+    /**
+     * Get pending mutations
+     * @returns {Array} Outbox entries, oldest first
+     */
+    getOutbox() {
+        try {
+            const data = localStorage.getItem(this.outboxKey);
+            return data ? JSON.parse(data) : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /**
+     * Persist the outbox and tell the UI how many changes are pending
+     * @param {Array} outbox - Outbox entries
+     */
+    setOutbox(outbox) {
+        if (outbox.length > 0) {
+            localStorage.setItem(this.outboxKey, JSON.stringify(outbox));
+        } else {
+            localStorage.removeItem(this.outboxKey);
+        }
+        window.dispatchEvent(new CustomEvent('sync-status', { detail: { pending: outbox.length } }));
+    }
+
+    /**
+     * Queue a mutation for later replay
+     * @param {Object} mutation - { type, id, method, path, body }
+     */
+    enqueue(mutation) {
+        let outbox = this.getOutbox();
+        const collection = mutation.path.split('?')[0];
+
+        // A bulk replace or clear supersedes everything queued for that collection
+        if (mutation.method === 'PUT' || (mutation.method === 'DELETE' && !collection.includes('/'))) {
+            outbox = outbox.filter(entry => entry.path !== collection && !entry.path.startsWith(`${collection}/`));
+        }
+
+        outbox.push({ ...mutation, queuedAt: new Date().toISOString() });
+        this.setOutbox(outbox);
+    }
+
+    /**
+     * Check whether a collection has queued mutations
+     * @param {string} path - API collection path, e.g. 'todos'
+     * @returns {boolean} True if something is pending
+     */
+    hasPending(path) {
+        return this.getOutbox().some(entry => entry.path === path || entry.path.startsWith(`${path}/`));
+    }
+
+    /**
+     * Replay queued mutations in order, stopping at the first network failure
+     * @returns {Promise<number>} Number of mutations still pending
+     */
+    flush() {
+        if (this.flushing) return this.flushing;
+
+        this.flushing = (async () => {
+            try {
+                while (this.getOutbox().length > 0) {
+                    const [entry] = this.getOutbox();
+                    const { result, data } = await this.dispatch(entry);
+                    // Offline or logged out: keep everything until the next attempt
+                    if (result === 'retry') break;
+
+                    // Re-read so entries queued during the request are kept
+                    let rest = this.getOutbox().slice(1);
+                    if (result === 'done' && data && data.version !== undefined && entry.id !== undefined) {
+                        // Later queued edits of this item were based on the version we just replaced
+                        const baseVersion = entry.body ? entry.body.version : undefined;
+                        rest = rest.map(next => this.rebaseEntry(next, entry.id, baseVersion, data.version));
+                    }
+                    this.setOutbox(rest);
+                    this.handleResponse(entry, result, data);
+                }
+                return this.getOutbox().length;
+            } finally {
+                this.flushing = null;
+            }
+        })();
+
+        return this.flushing;
+    }
+
+    /**
+     * Move a queued single-item mutation onto a newer server version
+     * @param {Object} entry - Outbox entry
+     * @param {string|number} id - Item id that was just saved
+     * @param {number|undefined} fromVersion - Version the saved mutation was based on
+     * @param {number} toVersion - Version the server assigned
+     * @returns {Object} Entry, rebased if it targeted the same item and base version
+     */
+    rebaseEntry(entry, id, fromVersion, toVersion) {
+        if (String(entry.id) !== String(id)) return entry;
+
+        if (entry.method === 'PATCH' && entry.body && entry.body.version === fromVersion) {
+            return { ...entry, body: { ...entry.body, version: toVersion } };
+        }
+        if (entry.method === 'DELETE') {
+            const [path] = entry.path.split('?');
+            return { ...entry, path: `${path}?version=${toVersion}` };
+        }
+        return entry;
+    }
+
+    /**
+     * Replay the outbox when connectivity returns and periodically while items are pending
+     */
+    startBackgroundSync() {
+        if (typeof window === 'undefined') return;
+
+        window.addEventListener('online', () => this.flush());
+        setInterval(() => {
+            if (navigator.onLine !== false && this.getOutbox().length > 0) {
+                this.flush();
+            }
+        }, this.syncRetryMs);
+
+        if (this.getOutbox().length > 0) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Listen for changes made in other tabs or on other devices
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     * @param {Function} callback - Called with { type, source } ('tab' or 'server')
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(type, callback) {
+        this.getKey(type);
+        if (!this.listeners[type]) this.listeners[type] = [];
+        this.listeners[type].push(callback);
+        this.connectLiveUpdates();
+
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Call subscribers of a type
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     * @param {string} source - 'tab' or 'server'
+     */
+    notify(type, source) {
+        (this.listeners[type] || []).forEach(callback => {
+            try {
+                callback({ type, source });
+            } catch (error) {
+                console.error(`Error in ${type} change listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Tell other tabs of this browser that a type changed
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     */
+    broadcast(type) {
+        if (this.channel) {
+            this.channel.postMessage({ type, source: this.clientId });
+        } else if (typeof window !== 'undefined') {
+            // Fallback: other tabs pick this up through the storage event
+            localStorage.setItem('sync-ping', JSON.stringify({ type, at: Date.now() }));
+        }
+    }
+
+    /**
+     * Receive same-browser change notices via BroadcastChannel (storage event as fallback)
+     */
+    setupCrossTabSync() {
+        if (typeof window === 'undefined') return;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel('manager-app-sync');
+            this.channel.onmessage = (e) => {
+                if (e.data && e.data.source !== this.clientId) this.notify(e.data.type, 'tab');
+            };
+            return;
+        }
+
+        window.addEventListener('storage', (e) => {
+            if (e.key !== 'sync-ping' || !e.newValue) return;
+            try {
+                this.notify(JSON.parse(e.newValue).type, 'tab');
+            } catch (_) {}
+        });
+    }
+
+    /**
+     * Open the server change feed (once) while logged in
+     */
+    connectLiveUpdates() {
+        if (this.eventSource || typeof EventSource === 'undefined') return;
+        const token = localStorage.getItem('auth_token');
+        if (!token) return;
+
+        const types = Object.fromEntries(
+            Object.entries(this.apiEndpoints).map(([type, path]) => [path, type])
+        );
+
+        this.eventSource = new EventSource(`${this.apiBase}/events?token=${encodeURIComponent(token)}`);
+        this.eventSource.addEventListener('change', (e) => {
+            try {
+                const { collection, source } = JSON.parse(e.data);
+                if (source !== this.clientId && types[collection]) {
+                    this.notify(types[collection], 'server');
+                }
+            } catch (error) {
+                console.error('Error handling change event:', error);
+            }
+        });
+    }
+
     /**
      * Check if storage is empty for a specific type
      * @param {string} type - 'todo', 'calendar', or 'blocks'
@@ -98,18 +644,12 @@ class StorageManager {
      */
     async clearAll(type) {
         try {
-            const key = this.storageKeys[type];
-            if (!key) {
-                throw new Error(`Unknown storage type: ${type}`);
-            }
+            const key = this.getKey(type);
             
             localStorage.removeItem(key);
 
-            if (type === 'todo') {
-                try {
-                    await fetch(`${this.apiBase}/todos`, { method: 'DELETE' });
-                } catch (_) {}
-            }
+            await this.send({ type, method: 'DELETE', path: this.apiEndpoints[type] });
+            this.broadcast(type);
             
             // Also clear related settings if they exist
             if (type === 'blocks') {
@@ -124,6 +664,214 @@ class StorageManager {
         }
     }
 
+    /**
+     * Soft-delete items: move them to the trash and record an undoable step
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     * @param {Array<string|number>} ids - Ids of the items to delete
+     * @param {string} label - Describes the action, e.g. in the undo toast
+     * @returns {Promise<Array>} The deleted items
+     */
+    async deleteItems(type, ids, label) {
+        const batchId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+        const items = await this.moveToTrash(type, ids, batchId, label);
+        if (items.length > 0) {
+            this.recordHistory({ action: 'delete', type, ids: items.map(item => item.id), batchId, label });
+        }
+        return items;
+    }
+
+    /**
+     * Remove items from storage, keeping a copy in the trash
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     * @param {Array<string|number>} ids - Ids of the items to delete
+     * @param {string} batchId - Groups items deleted by one action
+     * @param {string} label - Describes the action
+     * @returns {Promise<Array>} The deleted items
+     */
+    async moveToTrash(type, ids, batchId, label) {
+        const key = this.getKey(type);
+        const wanted = new Set(ids.map(String));
+        const current = this.readLocal(key);
+        const items = current.filter(item => wanted.has(String(item.id)));
+        if (items.length === 0) return [];
+
+        // Trash first so a failed delete never loses the only copy
+        const deletedAt = new Date().toISOString();
+        this.setTrash(this.getTrash().concat(items.map(item => ({ type, batchId, label, deletedAt, item }))));
+
+        // A single todo has its own endpoint; anything else rewrites the list
+        if (type === 'todo' && items.length === 1) {
+            await this.remove(type, items[0].id);
+        } else {
+            await this.saveAll(type, current.filter(item => !wanted.has(String(item.id))));
+        }
+        return items;
+    }
+
+    /**
+     * Put trashed items back
+     * @param {string} batchId - Batch to restore
+     * @param {Array<string|number>|null} ids - Only these items of the batch (all when null)
+     * @returns {Promise<Array>} The restored items
+     */
+    async restoreFromTrash(batchId, ids = null) {
+        const wanted = ids ? new Set(ids.map(String)) : null;
+        const isTarget = entry => entry.batchId === batchId && (!wanted || wanted.has(String(entry.item.id)));
+        const entries = this.getTrash().filter(isTarget);
+        if (entries.length === 0) return [];
+
+        const { type } = entries[0];
+        const key = this.getKey(type);
+        const current = this.readLocal(key);
+        const present = new Set(current.map(item => String(item.id)));
+        // Restored rows are new to the server again, so drop their old version
+        const items = entries
+            .map(({ item: { version, updatedAt, ...fields } }) => fields)
+            .filter(item => !present.has(String(item.id)));
+
+        if (type === 'todo' && items.length === 1) {
+            await this.create(type, items[0]);
+        } else if (items.length > 0) {
+            await this.saveAll(type, current.concat(items));
+        }
+
+        this.setTrash(this.getTrash().filter(entry => !isTarget(entry)));
+        return items;
+    }
+
+    /**
+     * Trashed items, newest first; entries past the retention period are dropped
+     * @param {string} [type] - Only this type
+     * @returns {Array} Entries: { type, batchId, label, deletedAt, item }
+     */
+    getTrash(type) {
+        let trash = [];
+        try {
+            const data = localStorage.getItem(this.trashKey);
+            trash = data ? JSON.parse(data) : [];
+        } catch (_) {}
+
+        const cutoff = Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const kept = trash.filter(entry => new Date(entry.deletedAt).getTime() >= cutoff);
+        if (kept.length !== trash.length) this.setTrash(kept);
+
+        return kept
+            .filter(entry => !type || entry.type === type)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    setTrash(trash) {
+        if (trash.length > 0) {
+            localStorage.setItem(this.trashKey, JSON.stringify(trash));
+        } else {
+            localStorage.removeItem(this.trashKey);
+        }
+    }
+
+    /**
+     * Delete trashed items for good
+     * @param {string} [type] - Only this type (everything when omitted)
+     * @param {string} [batchId] - Only this batch
+     * @param {string|number} [id] - Only this item of the batch
+     */
+    purgeTrash(type, batchId, id) {
+        const matches = entry => (!type || entry.type === type) &&
+            (!batchId || entry.batchId === batchId) &&
+            (id === undefined || String(entry.item.id) === String(id));
+        this.setTrash(this.getTrash().filter(entry => !matches(entry)));
+    }
+
+    /**
+     * Read the undo/redo stacks of this tab
+     * @returns {Object} { undo: [], redo: [] }
+     */
+    loadHistory() {
+        try {
+            const data = typeof sessionStorage !== 'undefined' ? sessionStorage.getItem(this.historyKey) : null;
+            const history = data ? JSON.parse(data) : null;
+            if (history && Array.isArray(history.undo) && Array.isArray(history.redo)) return history;
+        } catch (_) {}
+        return { undo: [], redo: [] };
+    }
+
+    saveHistory() {
+        try {
+            if (typeof sessionStorage !== 'undefined') {
+                sessionStorage.setItem(this.historyKey, JSON.stringify(this.history));
+            }
+        } catch (_) {}
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('history-change', {
+                detail: { canUndo: this.history.undo.length > 0, canRedo: this.history.redo.length > 0 }
+            }));
+        }
+    }
+
+    /**
+     * Push an undoable step, keeping only the last historyLimit steps
+     * @param {Object} step - { action, type, label, ... } as understood by applyHistoryStep()
+     */
+    recordHistory(step) {
+        this.history.undo.push({ ...step, at: new Date().toISOString() });
+        this.history.undo = this.history.undo.slice(-this.historyLimit);
+        this.history.redo = [];
+        this.saveHistory();
+    }
+
+    /**
+     * Replay or revert one history step
+     * @param {Object} step - History step
+     * @param {string} direction - 'undo' or 'redo'
+     * @returns {Promise<void>}
+     */
+    async applyHistoryStep(step, direction) {
+        switch (step.action) {
+            case 'delete':
+                if (direction === 'undo') {
+                    await this.restoreFromTrash(step.batchId);
+                } else {
+                    await this.moveToTrash(step.type, step.ids, step.batchId, step.label);
+                }
+                break;
+            default:
+                throw new Error(`Unknown history action: ${step.action}`);
+        }
+    }
+
+    /**
+     * Revert the latest step
+     * @returns {Promise<Object|null>} The step, or null if there is nothing to undo
+     */
+    undo() {
+        return this.moveHistory('undo', 'redo');
+    }
+
+    /**
+     * Re-apply the latest undone step
+     * @returns {Promise<Object|null>} The step, or null if there is nothing to redo
+     */
+    redo() {
+        return this.moveHistory('redo', 'undo');
+    }
+
+    async moveHistory(from, to) {
+        const step = this.history[from].pop();
+        if (!step) return null;
+
+        try {
+            await this.applyHistoryStep(step, from);
+        } catch (error) {
+            this.history[from].push(step);
+            throw error;
+        }
+
+        this.history[to].push(step);
+        this.saveHistory();
+        // Pages re-render through their subscriptions
+        this.notify(step.type, 'history');
+        return step;
+    }
+
     /**
      * Get storage statistics
      * @returns {Promise<Object>} Statistics object
@@ -165,23 +913,32 @@ class SampleDataGenerator {
                 priority: "medium",
                 completed: false,
                 createdAt: now.toISOString(),
-                tags: ["personal", "habit"]
+                tags: ["personal", "habit"],
+                dueDate: Utils.todayKey(),
+                recurrence: { freq: "DAILY", interval: 1 },
+                streak: 0,
+                bestStreak: 0
             }
         ];
     }
 
     static generateCalendarSamples() {
         const today = new Date();
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+        // Timed events carry their timezone and the matching absolute start/end
+        const timeZone = Utils.getTimeZone();
+        const todayKey = Utils.todayKey();
+        const tomorrowKey = Utils.addDaysToKey(todayKey, 1);
 
         return [
             {
                 id: `sample-${Date.now()}-1`,
                 title: "Họp team standup",
-                date: today.toISOString().split('T')[0],
+                date: todayKey,
                 time: "10:00",
                 endTime: "11:00",
+                timeZone,
+                start: Utils.toZonedIso(todayKey, "10:00", timeZone),
+                end: Utils.toZonedIso(todayKey, "11:00", timeZone),
                 priority: "high",
                 description: "Họp đầu tuần với team để sync tiến độ công việc",
                 createdAt: today.toISOString()
@@ -189,9 +946,12 @@ class SampleDataGenerator {
             {
                 id: `sample-${Date.now()}-2`,
                 title: "Workshop học React",
-                date: tomorrow.toISOString().split('T')[0],
+                date: tomorrowKey,
                 time: "14:00",
                 endTime: "15:30",
+                timeZone,
+                start: Utils.toZonedIso(tomorrowKey, "14:00", timeZone),
+                end: Utils.toZonedIso(tomorrowKey, "15:30", timeZone),
                 priority: "medium",
                 description: "Khóa học trực tuyến về React hooks và state management",
                 createdAt: today.toISOString()
@@ -234,6 +994,477 @@ class SampleDataGenerator {
     }
 }
 
+// Todo deadlines and reminders (Notification API while any app page is open)
+class ReminderManager {
+    constructor() {
+        this.firedKey = 'todo-reminders-fired';
+        this.checkIntervalMs = 30000;
+        // A reminder missed by more than this (closed tab, sleeping laptop) is skipped
+        this.graceMs = 15 * 60 * 1000;
+        this.timer = null;
+    }
+
+    /**
+     * Moment a todo is due; date-only deadlines fall due at the end of the day.
+     * Due dates and times are wall-clock values in the display timezone.
+     * @param {Object} todo - Todo with dueDate and optional dueTime
+     * @returns {Date|null} Due moment, or null without a due date
+     */
+    static getDueAt(todo) {
+        if (!todo || !/^\d{4}-\d{2}-\d{2}$/.test(todo.dueDate || '')) return null;
+        const due = Utils.zonedTimeToDate(todo.dueDate, todo.dueTime || '23:59', Utils.getTimeZone());
+        return isNaN(due.getTime()) ? null : due;
+    }
+
+    /**
+     * Deadline state of an open todo
+     * @param {Object} todo - Todo
+     * @param {Date} now - Reference time
+     * @returns {string|null} 'overdue', 'today', 'upcoming', or null (no due date or completed)
+     */
+    static getDueState(todo, now = new Date()) {
+        const due = ReminderManager.getDueAt(todo);
+        if (!due || todo.completed) return null;
+        if (due < now) return 'overdue';
+        if (todo.dueDate === Utils.getZonedParts(now).date) return 'today';
+        return 'upcoming';
+    }
+
+    /**
+     * Human label for a reminder offset
+     * @param {number} minutes - Minutes before the due time
+     * @returns {string} Label
+     */
+    static formatOffset(minutes) {
+        if (minutes === 0) return 'đúng hạn';
+        if (minutes % 1440 === 0) return `${minutes / 1440} ngày trước`;
+        if (minutes % 60 === 0) return `${minutes / 60} giờ trước`;
+        return `${minutes} phút trước`;
+    }
+
+    start() {
+        if (this.timer || typeof window === 'undefined') return;
+        this.check();
+        this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+    }
+
+    /**
+     * Ask for notification permission; call from a user action such as saving a reminder
+     * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+     */
+    async requestPermission() {
+        if (typeof Notification === 'undefined') return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+        try {
+            return await Notification.requestPermission();
+        } catch (_) {
+            return Notification.permission;
+        }
+    }
+
+    /**
+     * Fire reminders that are due; each todo/offset/deadline combination fires once
+     */
+    check(now = new Date()) {
+        const todos = storageManager.readLocal(storageManager.getKey('todo'));
+        const fired = Utils.getFromLocalStorage(this.firedKey, {});
+        const live = {};
+
+        todos.forEach(todo => {
+            const due = ReminderManager.getDueAt(todo);
+            if (!due || todo.completed || !Array.isArray(todo.reminders)) return;
+
+            todo.reminders.forEach(offset => {
+                // The deadline is part of the key so moving it re-arms the reminder
+                const key = `${todo.id}|${todo.dueDate}|${todo.dueTime || ''}|${offset}`;
+                const fireAt = due.getTime() - offset * 60000;
+                if (fired[key]) {
+                    live[key] = fired[key];
+                } else if (fireAt <= now.getTime()) {
+                    live[key] = now.toISOString();
+                    if (now.getTime() - fireAt <= this.graceMs) this.notify(todo, offset, key);
+                }
+            });
+        });
+
+        // Entries of deleted/completed todos drop out here
+        Utils.saveToLocalStorage(this.firedKey, live);
+    }
+
+    notify(todo, offset, tag) {
+        const when = todo.dueTime ? `${todo.dueTime} ${todo.dueDate}` : todo.dueDate;
+        const body = offset === 0 ? `Đến hạn: ${when}` : `Đến hạn lúc ${when} (${ReminderManager.formatOffset(offset)})`;
+
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            try {
+                // The tag collapses duplicates when several tabs fire at once
+                new Notification(`⏰ ${todo.text}`, { body, tag });
+                return;
+            } catch (error) {
+                console.error('Error showing notification:', error);
+            }
+        }
+        if (typeof document !== 'undefined') {
+            Utils.showNotification(`⏰ ${todo.text} — ${body}`, 'warning');
+        }
+    }
+}
+
+// Todos scheduled into a time block (block.todoId) or onto the calendar (event.todoId).
+// Completion flows both ways: finishing a todo finishes its blocks, and a todo is done
+// once every block linked to it is done.
+class TaskLinks {
+    /**
+     * Set a todo's completed state in memory
+     * @param {Object} todo - Todo to change
+     * @param {boolean} completed - New state
+     * @returns {Object} The matching changes for storageManager.update
+     */
+    static completionChanges(todo, completed) {
+        if (completed && todo.recurrence) return TaskLinks.completeOccurrence(todo);
+
+        todo.completed = completed;
+        if (completed) {
+            todo.completedAt = new Date().toISOString();
+        } else {
+            delete todo.completedAt;
+        }
+        return { completed: todo.completed, completedAt: todo.completedAt || null };
+    }
+
+    /**
+     * Finish the current occurrence of a repeating todo: it stays open and moves to the next date
+     * @param {Object} todo - Repeating todo (changed in memory)
+     * @returns {Object} The matching changes for storageManager.update
+     */
+    static completeOccurrence(todo) {
+        const today = Utils.todayKey();
+        const current = todo.dueDate || today;
+
+        // Done on its date extends the streak and a late finish starts over; an occurrence
+        // still in the future only moves the date, so repeated clicks cannot inflate the streak
+        if (current === today) {
+            todo.streak = (todo.streak || 0) + 1;
+        } else if (current < today) {
+            todo.streak = 1;
+        }
+        todo.bestStreak = Math.max(todo.bestStreak || 0, todo.streak);
+        // Finishing early moves one step; catching up skips the missed dates
+        todo.dueDate = Recurrence.nextAfter(todo.recurrence, current, current >= today ? current : today);
+        todo.completed = false;
+        todo.completedAt = new Date().toISOString();
+        todo.subtasks = (todo.subtasks || []).map(item => ({ ...item, completed: false }));
+
+        return {
+            completed: false,
+            completedAt: todo.completedAt,
+            dueDate: todo.dueDate,
+            streak: todo.streak,
+            bestStreak: todo.bestStreak,
+            subtasks: todo.subtasks
+        };
+    }
+
+    static isLinked(item, todoId) {
+        return item.todoId !== undefined && item.todoId !== null && String(item.todoId) === String(todoId);
+    }
+
+    /**
+     * Put a todo into a time block; the block shows the todo's text
+     * @param {Object} todo - Todo
+     * @param {string} blockId - Block id
+     * @returns {Promise<Object|null>} The block, or null if it no longer exists
+     */
+    static async assignToBlock(todo, blockId) {
+        const blocks = await storageManager.loadAll('blocks');
+        const block = blocks.find(b => String(b.id) === String(blockId));
+        if (!block) return null;
+        Object.assign(block, { todoId: todo.id, task: todo.text, completed: Boolean(todo.completed) });
+        await storageManager.saveAll('blocks', blocks);
+        return block;
+    }
+
+    /**
+     * Add a calendar event for a todo
+     * @param {Object} todo - Todo
+     * @param {{date: string, time?: string, endTime?: string}} when - In the display timezone
+     * @returns {Promise<Object>} The new event
+     */
+    static async scheduleOnCalendar(todo, { date, time = '', endTime = '' }) {
+        const events = await storageManager.loadAll('calendar');
+        const event = {
+            id: Utils.generateId(),
+            title: todo.text,
+            date,
+            time,
+            endTime: endTime || undefined,
+            priority: todo.priority || 'medium',
+            description: '',
+            todoId: todo.id,
+            createdAt: new Date().toISOString()
+        };
+        if (time) {
+            event.timeZone = Utils.getTimeZone();
+            event.start = Utils.toZonedIso(date, time, event.timeZone);
+            if (endTime) event.end = Utils.toZonedIso(date, endTime, event.timeZone);
+        }
+        events.push(event);
+        await storageManager.saveAll('calendar', events);
+        return event;
+    }
+
+    /**
+     * Mark the blocks of a todo done or not done after the todo was toggled
+     * @param {string|number} todoId - Todo id
+     * @param {boolean} completed - New state
+     * @returns {Promise<number>} Number of blocks changed
+     */
+    static async syncBlocks(todoId, completed) {
+        const blocks = await storageManager.loadAll('blocks');
+        const changed = blocks.filter(block => TaskLinks.isLinked(block, todoId) && Boolean(block.completed) !== completed);
+        if (changed.length === 0) return 0;
+        changed.forEach(block => { block.completed = completed; });
+        await storageManager.saveAll('blocks', blocks);
+        return changed.length;
+    }
+
+    /**
+     * Complete or reopen a todo after one of its blocks was toggled
+     * @param {string|number} todoId - Todo id
+     * @param {Array} blocks - All time blocks, already saved
+     * @returns {Promise<Object|null>} The todo if its state changed, otherwise null
+     */
+    static async syncTodo(todoId, blocks) {
+        const todos = await storageManager.loadAll('todo');
+        const todo = todos.find(t => String(t.id) === String(todoId));
+        if (!todo) return null;
+
+        const linked = blocks.filter(block => TaskLinks.isLinked(block, todoId));
+        const done = linked.length > 0 && linked.every(block => block.completed);
+        if (todo.recurrence) {
+            // A repeating todo stays open; its blocks finish the current occurrence at most once a day
+            const finishedToday = todo.completedAt && Utils.getZonedParts(new Date(todo.completedAt)).date === Utils.todayKey();
+            if (!done || finishedToday) return null;
+        } else if (done === Boolean(todo.completed)) {
+            return null;
+        }
+
+        await storageManager.update('todo', todo.id, TaskLinks.completionChanges(todo, done));
+        return todo;
+    }
+}
+
+// Backup bundles: one versioned JSON file with all app data
+const BACKUP_SCHEMA_VERSION = 1;
+
+class BackupManager {
+    /**
+     * Migrations keyed by the version they upgrade from
+     * @returns {Object} version -> function(bundle) returning the next version
+     */
+    static getMigrations() {
+        return {
+            // v0: an unversioned copy of localStorage, keyed by storage key
+            0: (raw) => ({
+                app: 'manager-app',
+                schemaVersion: 1,
+                exportedAt: raw.exportedAt || null,
+                data: {
+                    todos: BackupManager.parseMaybeJSON(raw['todos'], []),
+                    calendarEvents: BackupManager.parseMaybeJSON(raw['calendar-events'], []),
+                    timeBlocks: BackupManager.parseMaybeJSON(raw['time-blocks'], []),
+                    timeBlocksSettings: BackupManager.parseMaybeJSON(raw['time-blocks-settings'], null),
+                    pomodoroTimer: BackupManager.parseMaybeJSON(raw['pomodoro-timer'], null)
+                }
+            })
+        };
+    }
+
+    static parseMaybeJSON(value, defaultValue) {
+        if (value === undefined || value === null) return defaultValue;
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (_) {
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Build a bundle of everything the app stores
+     * @returns {Promise<Object>} Backup bundle
+     */
+    static async createBundle() {
+        return {
+            app: 'manager-app',
+            schemaVersion: BACKUP_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            data: {
+                todos: await storageManager.loadAll('todo'),
+                calendarEvents: await storageManager.loadAll('calendar'),
+                timeBlocks: await storageManager.loadAll('blocks'),
+                pomodoroSessions: await storageManager.loadAll('sessions'),
+                timeBlocksSettings: Utils.getFromLocalStorage('time-blocks-settings', null),
+                pomodoroTimer: Utils.getFromLocalStorage('pomodoro-timer', null)
+            }
+        };
+    }
+
+    /**
+     * Download the bundle as a .json file
+     * @returns {Promise<void>}
+     */
+    static async exportToFile() {
+        const bundle = await this.createBundle();
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `manager-app-backup-${Utils.todayKey()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Bring a bundle of any known schema version up to the current one
+     * @param {Object} bundle - Parsed bundle
+     * @returns {Object} Bundle at BACKUP_SCHEMA_VERSION
+     */
+    static migrate(bundle) {
+        if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+            throw new Error('Tệp sao lưu không hợp lệ');
+        }
+
+        let current = bundle;
+        let version = Number.isInteger(current.schemaVersion) ? current.schemaVersion : 0;
+        if (version > BACKUP_SCHEMA_VERSION) {
+            throw new Error(`Tệp sao lưu dùng phiên bản ${version}, mới hơn ứng dụng (${BACKUP_SCHEMA_VERSION})`);
+        }
+
+        const migrations = this.getMigrations();
+        while (version < BACKUP_SCHEMA_VERSION) {
+            const step = migrations[version];
+            if (!step) throw new Error(`Không thể nâng cấp tệp sao lưu từ phiên bản ${version}`);
+            current = step(current);
+            version = current.schemaVersion;
+        }
+        return current;
+    }
+
+    /**
+     * Validate a bundle at the current schema version
+     * @param {Object} bundle - Migrated bundle
+     * @throws {Error} Describing the first problem found
+     */
+    static validate(bundle) {
+        const data = bundle.data;
+        if (!data || typeof data !== 'object') {
+            throw new Error('Tệp sao lưu thiếu phần dữ liệu');
+        }
+
+        const lists = {
+            todos: item => typeof item.text === 'string',
+            calendarEvents: item => typeof item.title === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(item.date || ''),
+            timeBlocks: item => typeof item.startTime === 'string' && typeof item.endTime === 'string',
+            pomodoroSessions: item => typeof item.startedAt === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(item.date || '')
+        };
+
+        Object.entries(lists).forEach(([name, isValid]) => {
+            const items = data[name];
+            // Bundles from before the session history have no pomodoroSessions
+            if (name === 'pomodoroSessions' && items === undefined) return;
+            if (!Array.isArray(items)) {
+                throw new Error(`"${name}" phải là một danh sách`);
+            }
+            items.forEach((item, index) => {
+                if (!item || typeof item !== 'object' || item.id === undefined || item.id === null || !isValid(item)) {
+                    throw new Error(`"${name}" mục #${index + 1} không hợp lệ`);
+                }
+            });
+        });
+
+        ['timeBlocksSettings', 'pomodoroTimer'].forEach(name => {
+            const value = data[name];
+            if (value !== null && value !== undefined && (typeof value !== 'object' || Array.isArray(value))) {
+                throw new Error(`"${name}" không hợp lệ`);
+            }
+        });
+    }
+
+    /**
+     * Import a bundle
+     * @param {Object} rawBundle - Parsed JSON from the file
+     * @param {string} mode - 'replace' (overwrite everything) or 'merge' (keep existing, add new ids)
+     * @returns {Promise<Object>} Counts of imported items per list
+     */
+    static async importBundle(rawBundle, mode = 'merge') {
+        const bundle = this.migrate(rawBundle);
+        this.validate(bundle);
+        const { data } = bundle;
+
+        // Imported rows overwrite by design, so drop server concurrency metadata
+        const strip = items => items.map(({ version, updatedAt, ...item }) => item);
+        const lists = [
+            ['todo', strip(data.todos)],
+            ['calendar', data.calendarEvents],
+            ['blocks', data.timeBlocks],
+            ['sessions', data.pomodoroSessions || []]
+        ];
+
+        const counts = {};
+        for (const [type, items] of lists) {
+            let result = items;
+            if (mode === 'merge') {
+                const existing = await storageManager.loadAll(type);
+                const ids = new Set(existing.map(item => String(item.id)));
+                result = existing.concat(items.filter(item => !ids.has(String(item.id))));
+            }
+            await storageManager.saveAll(type, result);
+            counts[type] = result.length;
+        }
+
+        [['time-blocks-settings', data.timeBlocksSettings], ['pomodoro-timer', data.pomodoroTimer]].forEach(([key, value]) => {
+            if (value === null || value === undefined) return;
+            if (mode === 'merge' && localStorage.getItem(key) !== null) return;
+            Utils.saveToLocalStorage(key, value);
+        });
+
+        return counts;
+    }
+
+    /**
+     * Let the user pick a backup file and import it
+     * @param {string} mode - 'replace' or 'merge'
+     * @returns {Promise<Object|null>} Import counts, or null if cancelled
+     */
+    static importFromFile(mode) {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'application/json,.json';
+            input.addEventListener('change', async () => {
+                const file = input.files && input.files[0];
+                if (!file) return resolve(null);
+                try {
+                    const text = await file.text();
+                    let parsed;
+                    try {
+                        parsed = JSON.parse(text);
+                    } catch (_) {
+                        throw new Error('Tệp không phải JSON hợp lệ');
+                    }
+                    resolve(await this.importBundle(parsed, mode));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            input.click();
+        });
+    }
+}
+
 // Enhanced Utils class with new methods
 class EnhancedUtils extends Utils {
     static createSampleDataButton(type, containerId, onCreateCallback) {
@@ -303,7 +1534,7 @@ class EnhancedUtils extends Utils {
         return button;
     }
 
-    static createOptionsMenu(type, onResetCallback) {
+    static createOptionsMenu(type, onResetCallback, onImportedCallback = () => window.location.reload()) {
         const menu = document.createElement('div');
         menu.className = 'options-menu';
         menu.innerHTML = `
@@ -314,8 +1545,44 @@ class EnhancedUtils extends Utils {
                 <span class="btn-icon">⋯</span>
             </button>
             <div class="options-menu-content" role="menu" aria-hidden="true">
+                <button class="options-menu-item btn btn-small" 
+                        role="menuitem"
+                        data-action="export"
+                        aria-label="Xuất toàn bộ dữ liệu ra tệp JSON">
+                    <span class="btn-icon">📤</span>
+                    <span class="btn-text">Xuất dữ liệu</span>
+                </button>
+                <button class="options-menu-item btn btn-small" 
+                        role="menuitem"
+                        data-action="import-merge"
+                        aria-label="Nhập dữ liệu và gộp với dữ liệu hiện có">
+                    <span class="btn-icon">📥</span>
+                    <span class="btn-text">Nhập (gộp)</span>
+                </button>
+                <button class="options-menu-item btn btn-small" 
+                        role="menuitem"
+                        data-action="import-replace"
+                        aria-label="Nhập dữ liệu và thay thế dữ liệu hiện có">
+                    <span class="btn-icon">📥</span>
+                    <span class="btn-text">Nhập (thay thế)</span>
+                </button>
+                <button class="options-menu-item btn btn-small" 
+                        role="menuitem"
+                        data-action="trash"
+                        aria-label="Mở thùng rác">
+                    <span class="btn-icon">♻️</span>
+                    <span class="btn-text">Thùng rác</span>
+                </button>
+                <button class="options-menu-item btn btn-small" 
+                        role="menuitem"
+                        data-action="timezone"
+                        aria-label="Chọn múi giờ hiển thị">
+                    <span class="btn-icon">🌐</span>
+                    <span class="btn-text">Múi giờ</span>
+                </button>
                 <button class="options-menu-item btn btn-danger btn-small" 
                         role="menuitem"
+                        data-action="reset"
                         aria-label="Xóa tất cả dữ liệu">
                     <span class="btn-icon">🗑️</span>
                     <span class="btn-text">Reset dữ liệu</span>
@@ -325,7 +1592,16 @@ class EnhancedUtils extends Utils {
 
         const trigger = menu.querySelector('.options-menu-trigger');
         const content = menu.querySelector('.options-menu-content');
-        const resetBtn = menu.querySelector('.options-menu-item');
+        const resetBtn = menu.querySelector('[data-action="reset"]');
+        const exportBtn = menu.querySelector('[data-action="export"]');
+        const trashBtn = menu.querySelector('[data-action="trash"]');
+        const timeZoneBtn = menu.querySelector('[data-action="timezone"]');
+
+        const closeMenu = () => {
+            trigger.setAttribute('aria-expanded', 'false');
+            content.setAttribute('aria-hidden', 'true');
+            content.style.display = 'none';
+        };
 
         // Toggle menu
         trigger.addEventListener('click', () => {
@@ -338,23 +1614,64 @@ class EnhancedUtils extends Utils {
         // Close menu when clicking outside
         document.addEventListener('click', (e) => {
             if (!menu.contains(e.target)) {
-                trigger.setAttribute('aria-expanded', 'false');
-                content.setAttribute('aria-hidden', 'true');
-                content.style.display = 'none';
+                closeMenu();
             }
         });
 
-        // Reset data handler
+        // Export handler
+        exportBtn.addEventListener('click', async () => {
+            try {
+                await BackupManager.exportToFile();
+                Utils.showNotification('Đã xuất dữ liệu!', 'success');
+                closeMenu();
+            } catch (error) {
+                console.error('Error exporting data:', error);
+                Utils.showNotification('Có lỗi xảy ra khi xuất dữ liệu!', 'error');
+            }
+        });
+
+        // Import handlers
+        menu.querySelectorAll('[data-action^="import-"]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const mode = btn.dataset.action === 'import-replace' ? 'replace' : 'merge';
+                if (mode === 'replace' && !confirm('Dữ liệu hiện tại sẽ bị thay thế bởi tệp nhập vào. Tiếp tục?')) {
+                    return;
+                }
+                closeMenu();
+                try {
+                    const counts = await BackupManager.importFromFile(mode);
+                    if (!counts) return;
+                    Utils.showNotification(
+                        `Đã nhập: ${counts.todo} công việc, ${counts.calendar} sự kiện, ${counts.blocks} time blocks`,
+                        'success'
+                    );
+                    await onImportedCallback();
+                } catch (error) {
+                    console.error('Error importing data:', error);
+                    Utils.showNotification(`Nhập dữ liệu thất bại: ${error.message}`, 'error');
+                }
+            });
+        });
+
+        // Trash handler
+        trashBtn.addEventListener('click', () => {
+            closeMenu();
+            EnhancedUtils.openTrash(type);
+        });
+
+        timeZoneBtn.addEventListener('click', () => {
+            closeMenu();
+            EnhancedUtils.openTimeZoneSettings();
+        });
+
+        // Reset data handler; the callback moves data to the trash and shows its own undo toast
         resetBtn.addEventListener('click', async () => {
-            if (confirm(`Bạn có chắc chắn muốn xóa tất cả dữ liệu? Hành động này không thể hoàn tác.`)) {
+            if (confirm(`Bạn có chắc chắn muốn xóa tất cả dữ liệu? Dữ liệu sẽ được chuyển vào thùng rác.`)) {
                 try {
                     await onResetCallback();
-                    Utils.showNotification('Đã reset tất cả dữ liệu!', 'success');
                     
                     // Close menu
-                    trigger.setAttribute('aria-expanded', 'false');
-                    content.setAttribute('aria-hidden', 'true');
-                    content.style.display = 'none';
+                    closeMenu();
                 } catch (error) {
                     console.error('Error resetting data:', error);
                     Utils.showNotification('Có lỗi xảy ra khi reset dữ liệu!', 'error');
@@ -365,6 +1682,242 @@ class EnhancedUtils extends Utils {
         return menu;
     }
 
+    /**
+     * Toast with a "Hoàn tác" button for an action recorded in the undo history
+     * @param {string} message - What was done
+     */
+    static notifyUndoable(message) {
+        Utils.showNotification(message, 'success', {
+            actionLabel: 'Hoàn tác',
+            onAction: () => EnhancedUtils.undo()
+        });
+    }
+
+    static async undo() {
+        try {
+            const step = await storageManager.undo();
+            if (!step) {
+                Utils.showNotification('Không có thao tác nào để hoàn tác', 'info');
+                return;
+            }
+            Utils.showNotification(`Đã hoàn tác: ${step.label}`, 'info', {
+                actionLabel: 'Làm lại',
+                onAction: () => EnhancedUtils.redo()
+            });
+        } catch (error) {
+            console.error('Error undoing:', error);
+            Utils.showNotification('Không thể hoàn tác!', 'error');
+        }
+    }
+
+    static async redo() {
+        try {
+            const step = await storageManager.redo();
+            if (!step) {
+                Utils.showNotification('Không có thao tác nào để làm lại', 'info');
+                return;
+            }
+            EnhancedUtils.notifyUndoable(`Đã làm lại: ${step.label}`);
+        } catch (error) {
+            console.error('Error redoing:', error);
+            Utils.showNotification('Không thể làm lại!', 'error');
+        }
+    }
+
+    /**
+     * Short name of a trashed item for display
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     * @param {Object} item - Trashed item
+     * @returns {string} Display name
+     */
+    static describeTrashItem(type, item) {
+        switch (type) {
+            case 'todo':
+                return item.text;
+            case 'calendar':
+                return `${item.title} (${item.date}${item.time ? ` ${item.time}` : ''})`;
+            case 'blocks':
+                return `${item.startTime} - ${item.endTime}${item.task ? `: ${item.task}` : ''}`;
+            default:
+                return String(item.id);
+        }
+    }
+
+    /**
+     * Show the trash of one data type with restore / delete forever actions
+     * @param {string} type - 'todo', 'calendar', or 'blocks'
+     */
+    static openTrash(type) {
+        document.getElementById('trash-modal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'trash-modal';
+        modal.className = 'trash-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'trash-modal-title');
+        modal.innerHTML = `
+            <div class="trash-modal-content">
+                <div class="trash-modal-header">
+                    <h3 id="trash-modal-title">♻️ Thùng rác</h3>
+                    <button type="button" class="trash-modal-close" aria-label="Đóng">&times;</button>
+                </div>
+                <p class="trash-modal-hint">Mục đã xóa được giữ ${storageManager.trashRetentionDays} ngày.</p>
+                <ul class="trash-list"></ul>
+                <div class="trash-modal-footer">
+                    <button type="button" class="btn btn-danger btn-small" data-trash-action="empty">Dọn sạch thùng rác</button>
+                </div>
+            </div>
+        `;
+
+        const list = modal.querySelector('.trash-list');
+        const emptyBtn = modal.querySelector('[data-trash-action="empty"]');
+        const close = () => {
+            document.removeEventListener('keydown', onKeydown);
+            modal.remove();
+        };
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+
+        const render = () => {
+            const entries = storageManager.getTrash(type);
+            list.innerHTML = '';
+            emptyBtn.disabled = entries.length === 0;
+
+            if (entries.length === 0) {
+                const li = document.createElement('li');
+                li.className = 'trash-empty';
+                li.textContent = 'Thùng rác trống';
+                list.appendChild(li);
+                return;
+            }
+
+            entries.forEach(entry => {
+                const li = document.createElement('li');
+                li.className = 'trash-item';
+                li.innerHTML = `
+                    <div class="trash-item-info">
+                        <div class="trash-item-name"></div>
+                        <div class="trash-item-meta"></div>
+                    </div>
+                    <div class="trash-item-actions">
+                        <button type="button" class="btn btn-primary btn-small" data-trash-action="restore">↩️ Khôi phục</button>
+                        <button type="button" class="btn btn-danger btn-small" data-trash-action="purge">Xóa vĩnh viễn</button>
+                    </div>
+                `;
+                li.querySelector('.trash-item-name').textContent = EnhancedUtils.describeTrashItem(type, entry.item);
+                li.querySelector('.trash-item-meta').textContent =
+                    `${entry.label} · ${Utils.formatDateTime(new Date(entry.deletedAt))}`;
+
+                li.querySelector('[data-trash-action="restore"]').addEventListener('click', async () => {
+                    try {
+                        await storageManager.restoreFromTrash(entry.batchId, [entry.item.id]);
+                        storageManager.notify(type, 'history');
+                        Utils.showNotification('Đã khôi phục!', 'success');
+                        render();
+                    } catch (error) {
+                        console.error('Error restoring item:', error);
+                        Utils.showNotification('Có lỗi xảy ra khi khôi phục!', 'error');
+                    }
+                });
+                li.querySelector('[data-trash-action="purge"]').addEventListener('click', () => {
+                    if (!confirm('Xóa vĩnh viễn mục này? Hành động này không thể hoàn tác.')) return;
+                    storageManager.purgeTrash(type, entry.batchId, entry.item.id);
+                    render();
+                });
+                list.appendChild(li);
+            });
+        };
+
+        emptyBtn.addEventListener('click', () => {
+            if (!confirm('Xóa vĩnh viễn tất cả mục trong thùng rác? Hành động này không thể hoàn tác.')) return;
+            storageManager.purgeTrash(type);
+            render();
+        });
+        modal.querySelector('.trash-modal-close').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+        document.addEventListener('keydown', onKeydown);
+
+        render();
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Dialog for the display timezone used by the calendar, due dates and time blocks
+     */
+    static openTimeZoneSettings() {
+        document.getElementById('timezone-modal')?.remove();
+
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        const saved = localStorage.getItem('app-timezone');
+        const current = Utils.getTimeZone();
+        if (!zones.includes(current)) zones.unshift(current);
+
+        const modal = document.createElement('div');
+        modal.id = 'timezone-modal';
+        modal.className = 'trash-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'timezone-modal-title');
+        modal.innerHTML = `
+            <div class="trash-modal-content">
+                <div class="trash-modal-header">
+                    <h3 id="timezone-modal-title">🌐 Múi giờ</h3>
+                    <button type="button" class="trash-modal-close" aria-label="Đóng">&times;</button>
+                </div>
+                <p class="trash-modal-hint">Ngày giờ của sự kiện, hạn chót và time blocks được hiển thị theo múi giờ này.</p>
+                <select class="form-control" id="timezone-select" aria-label="Chọn múi giờ"></select>
+                <p class="trash-modal-hint" id="timezone-preview"></p>
+                <div class="trash-modal-footer">
+                    <button type="button" class="btn btn-primary btn-small" data-timezone-action="save">Lưu</button>
+                </div>
+            </div>
+        `;
+
+        const select = modal.querySelector('#timezone-select');
+        const preview = modal.querySelector('#timezone-preview');
+        const device = new Option(`Theo thiết bị (${Utils.getDeviceTimeZone()})`, '');
+        select.appendChild(device);
+        zones.forEach(zone => select.appendChild(new Option(zone, zone)));
+        select.value = saved && zones.includes(saved) ? saved : '';
+
+        const updatePreview = () => {
+            const zone = select.value || Utils.getDeviceTimeZone();
+            const { date, time } = Utils.getZonedParts(new Date(), zone);
+            preview.textContent = `Bây giờ ở múi giờ này: ${time}, ${Utils.formatDate(Utils.fromDateKey(date))}`;
+        };
+        const close = () => {
+            document.removeEventListener('keydown', onKeydown);
+            modal.remove();
+        };
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+
+        select.addEventListener('change', updatePreview);
+        modal.querySelector('[data-timezone-action="save"]').addEventListener('click', () => {
+            try {
+                Utils.setTimeZone(select.value || null);
+                Utils.showNotification(`Đã đặt múi giờ: ${Utils.getTimeZone()}`, 'success');
+                close();
+            } catch (error) {
+                Utils.showNotification(error.message, 'error');
+            }
+        });
+        modal.querySelector('.trash-modal-close').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+        document.addEventListener('keydown', onKeydown);
+
+        updatePreview();
+        document.body.appendChild(modal);
+        select.focus();
+    }
+
     static createEmptyState(type, config = {}) {
         const {
             icon = '📋',
@@ -397,14 +1950,41 @@ class EnhancedUtils extends Utils {
 // Initialize global instances
 const storageManager = new StorageManager();
 const sampleDataGenerator = new SampleDataGenerator();
+const reminderManager = new ReminderManager();
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => reminderManager.start());
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) walk the shared history; text fields keep their native undo
+if (typeof document !== 'undefined') {
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            EnhancedUtils.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            EnhancedUtils.redo();
+        }
+    });
+}
 
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { 
         StorageManager, 
         SampleDataGenerator, 
+        BackupManager,
+        ReminderManager,
+        TaskLinks,
         EnhancedUtils,
         storageManager,
-        sampleDataGenerator
+        sampleDataGenerator,
+        reminderManager
     };
 }
\ No newline at end of file
@@ -0,0 +1,314 @@
+// Pomodoro alerts: system notifications, Web Audio sounds and a flashing tab title
+
+// Completion sounds, synthesized: wave shape and notes as [frequency Hz, start s, length s]
+const TIMER_SOUNDS = {
+    bell: {
+        label: '🔔 Chuông',
+        wave: 'sine',
+        notes: [[880, 0, 1.2], [1320, 0, 0.8], [880, 1.4, 1.2], [1320, 1.4, 0.8]]
+    },
+    chime: {
+        label: '🎐 Chuông gió',
+        wave: 'triangle',
+        notes: [[523.25, 0, 0.6], [659.25, 0.2, 0.6], [783.99, 0.4, 0.6], [1046.5, 0.6, 1.2]]
+    },
+    digital: {
+        label: '⏰ Đồng hồ số',
+        wave: 'square',
+        notes: [[1000, 0, 0.1], [1000, 0.2, 0.1], [1000, 0.4, 0.1], [1000, 0.9, 0.1], [1000, 1.1, 0.1], [1000, 1.3, 0.1]]
+    }
+};
+// One tick of the ambient ticking
+const TIMER_TICK_SOUND = { wave: 'square', notes: [[1800, 0, 0.02]] };
+// Square waves are much louder than sine waves at the same gain
+const TIMER_MAX_GAIN = 0.3;
+// Flashing title swap interval, and how long to flash when the tab is already in view
+const TIMER_FLASH_MS = 1000;
+const TIMER_FLASH_IN_VIEW_MS = 6000;
+
+class TimerAlerts {
+    constructor() {
+        this.settingsKey = 'pomodoro-alerts';
+        // Browsers only play audio in a tab the user interacted with, so the tab where the timer
+        // was last started or paused plays the sounds; the leading tab hands alerts to it
+        this.soundTabKey = 'pomodoro-alert-tab';
+        this.messageKey = 'pomodoro-alert';
+        this.tabId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+        this.defaultSettings = {
+            notifications: false, // system notification (needs permission)
+            sound: 'bell', // key of TIMER_SOUNDS, or 'none'
+            volume: 70, // 0-100
+            ticking: false, // tick every second during work sessions
+            tickVolume: 30, // 0-100
+            flashTitle: true
+        };
+        this.settings = this.loadSettings();
+        this.audioContext = null;
+        this.flashTimer = null;
+        this.flashStopTimer = null;
+        // Title the timer wants while the flashing one is shown
+        this.baseTitle = null;
+        this.setupTabSync();
+    }
+
+    /**
+     * Follow settings changed in other tabs, play alerts handed over by the leading tab,
+     * and give up the sound role when closing
+     */
+    setupTabSync() {
+        if (typeof window === 'undefined') return;
+        this.handleStorage = (e) => {
+            if (e.key === this.settingsKey) {
+                this.settings = this.loadSettings();
+                return;
+            }
+            if (e.key !== this.messageKey || !e.newValue || !this.isSoundTab()) return;
+            const message = JSON.parse(e.newValue);
+            this.alert(message.title, message.body);
+        };
+        this.handleUnload = () => this.releaseSoundTab();
+        window.addEventListener('storage', this.handleStorage);
+        window.addEventListener('beforeunload', this.handleUnload);
+    }
+
+    /**
+     * Whether this tab plays the sounds
+     * @param {boolean} isLeader - This tab leads the timer; it plays them while no tab was unlocked
+     * @returns {boolean} True if sounds belong here
+     */
+    isSoundTab(isLeader = false) {
+        const soundTab = Utils.getFromLocalStorage(this.soundTabKey);
+        return soundTab ? soundTab === this.tabId : isLeader;
+    }
+
+    /**
+     * Stop being the sound tab
+     */
+    releaseSoundTab() {
+        if (Utils.getFromLocalStorage(this.soundTabKey) === this.tabId) {
+            localStorage.removeItem(this.soundTabKey);
+        }
+    }
+
+    /**
+     * Load alert settings from localStorage
+     * @returns {Object} Settings merged over the defaults
+     */
+    loadSettings() {
+        return { ...this.defaultSettings, ...(Utils.getFromLocalStorage(this.settingsKey, {}) || {}) };
+    }
+
+    /**
+     * Change and save settings
+     * @param {Object} changes - Settings to change
+     */
+    update(changes) {
+        this.settings = { ...this.settings, ...changes };
+        Utils.saveToLocalStorage(this.settingsKey, this.settings);
+    }
+
+    /**
+     * Ask for notification permission; call from a user action
+     * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+     */
+    requestPermission() {
+        return reminderManager.requestPermission();
+    }
+
+    /**
+     * Current notification permission
+     * @returns {string} 'granted', 'denied', 'default' or 'unsupported'
+     */
+    getPermission() {
+        return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+    }
+
+    /**
+     * The shared AudioContext; browsers only let it play after a user gesture,
+     * so call this (through unlock) from a click or key press first
+     * @returns {AudioContext|null} null when Web Audio is unavailable
+     */
+    getAudioContext() {
+        if (!this.audioContext) {
+            const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+            if (!AudioContextClass) return null;
+            this.audioContext = new AudioContextClass();
+        }
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(() => {});
+        }
+        return this.audioContext;
+    }
+
+    /**
+     * Allow sounds to play later and make this the sound tab; call from a user gesture such as pressing start
+     */
+    unlock() {
+        if (!this.getAudioContext()) return;
+        Utils.saveToLocalStorage(this.soundTabKey, this.tabId);
+    }
+
+    /**
+     * Play synthesized notes
+     * @param {Object} sound - { wave, notes: [[frequency, start, length]] }
+     * @param {number} volume - 0-100
+     */
+    playNotes(sound, volume) {
+        const context = this.getAudioContext();
+        if (!context || volume <= 0) return;
+        const gainLevel = (volume / 100) * TIMER_MAX_GAIN;
+        const now = context.currentTime;
+
+        sound.notes.forEach(([frequency, start, length]) => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.type = sound.wave;
+            oscillator.frequency.value = frequency;
+            // Quick attack, exponential fade so notes do not click
+            gain.gain.setValueAtTime(0.0001, now + start);
+            gain.gain.exponentialRampToValueAtTime(gainLevel, now + start + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.0001, now + start + length);
+            oscillator.connect(gain).connect(context.destination);
+            oscillator.start(now + start);
+            oscillator.stop(now + start + length + 0.05);
+        });
+    }
+
+    /**
+     * Play a completion sound
+     * @param {string} name - Key of TIMER_SOUNDS; defaults to the chosen one
+     */
+    playSound(name = this.settings.sound) {
+        const sound = TIMER_SOUNDS[name];
+        if (sound) this.playNotes(sound, this.settings.volume);
+    }
+
+    /**
+     * One tick of the ambient ticking, if it is on
+     */
+    tick() {
+        if (this.settings.ticking) this.playNotes(TIMER_TICK_SOUND, this.settings.tickVolume);
+    }
+
+    /**
+     * Show a system notification, if enabled and allowed
+     * @param {string} title - Notification title
+     * @param {string} body - Notification text
+     * @returns {boolean} True if one was shown
+     */
+    notify(title, body) {
+        if (!this.settings.notifications || this.getPermission() !== 'granted') return false;
+        try {
+            // The tag replaces the previous timer notification instead of stacking them
+            const notification = new Notification(title, { body, tag: 'pomodoro', renotify: true });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+            return true;
+        } catch (error) {
+            console.error('Error showing notification:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Set the tab title the timer wants; kept aside while the title flashes
+     * @param {string} title - Title
+     */
+    setTitle(title) {
+        this.baseTitle = title;
+        if (!this.flashTimer) document.title = title;
+    }
+
+    /**
+     * Alternate the tab title with a message until the tab is looked at
+     * @param {string} message - Text to flash
+     */
+    flashTitle(message) {
+        if (!this.settings.flashTitle || typeof document === 'undefined') return;
+        this.stopFlashing();
+        if (this.baseTitle === null) this.baseTitle = document.title;
+
+        let showMessage = true;
+        document.title = message;
+        this.flashTimer = setInterval(() => {
+            showMessage = !showMessage;
+            document.title = showMessage ? message : this.baseTitle;
+        }, TIMER_FLASH_MS);
+
+        const inView = () => !document.hidden && (typeof document.hasFocus !== 'function' || document.hasFocus());
+        if (inView()) {
+            this.flashStopTimer = setTimeout(() => this.stopFlashing(), TIMER_FLASH_IN_VIEW_MS);
+            return;
+        }
+        this.handleLook = () => {
+            if (inView()) this.stopFlashing();
+        };
+        window.addEventListener('focus', this.handleLook);
+        document.addEventListener('visibilitychange', this.handleLook);
+    }
+
+    /**
+     * Stop flashing and put the timer's title back
+     */
+    stopFlashing() {
+        clearTimeout(this.flashStopTimer);
+        this.flashStopTimer = null;
+        if (this.handleLook) {
+            window.removeEventListener('focus', this.handleLook);
+            document.removeEventListener('visibilitychange', this.handleLook);
+            this.handleLook = null;
+        }
+        if (!this.flashTimer) return;
+        clearInterval(this.flashTimer);
+        this.flashTimer = null;
+        if (this.baseTitle !== null) document.title = this.baseTitle;
+    }
+
+    /**
+     * Everything that is switched on for a finished session: sound, notification, title
+     * @param {string} title - Short headline, e.g. '🍅 Hết giờ làm việc!'
+     * @param {string} body - Longer text for the notification
+     */
+    alert(title, body) {
+        this.playSound();
+        this.notify(title, body);
+        this.flashTitle(title);
+    }
+
+    /**
+     * Alert for a finished session from the leading tab: here if this is the sound tab,
+     * otherwise through storage to the tab that is
+     * @param {string} title - Short headline
+     * @param {string} body - Longer text for the notification
+     */
+    announce(title, body) {
+        if (this.isSoundTab(true)) {
+            this.alert(title, body);
+            return;
+        }
+        Utils.saveToLocalStorage(this.messageKey, { title, body, at: Date.now() });
+    }
+
+    /**
+     * Stop timers and release audio
+     */
+    destroy() {
+        this.stopFlashing();
+        this.releaseSoundTab();
+        if (this.handleStorage) {
+            window.removeEventListener('storage', this.handleStorage);
+            window.removeEventListener('beforeunload', this.handleUnload);
+        }
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimerAlerts, TIMER_SOUNDS };
+}
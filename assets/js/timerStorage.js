@@ -1,23 +1,51 @@
 // Timer Storage for Pomodoro functionality
+
+// Settings that come from a preset (and can be set for 'custom'); each one also has a
+// custom* copy in the state, e.g. customLongBreakDuration, so the custom form keeps them
+const PRESET_RULES = ['workDuration', 'breakDuration', 'longBreakDuration', 'longBreakInterval', 'autoStartNext', 'dailyGoal'];
+
 class TimerStorage {
     constructor() {
         this.storageKey = 'pomodoro-timer';
+        // Lease of the tab that runs the timer: { id, expiresAt }
+        this.leaderKey = 'pomodoro-leader';
         this.defaultState = {
-            mode: 'work', // 'work' | 'break'
+            mode: 'work', // 'work' | 'break' | 'longBreak'
             remainingMs: 25 * 60 * 1000, // 25 minutes default
             preset: 'pomodoro', // 'pomodoro' | 'deepwork' | 'custom'
             isRunning: false,
             completedSessions: 0,
-            lastTickAt: null,
+            endsAt: null, // while running: epoch ms the session ends; remainingMs is derived from it
+            sessionStartedAt: null, // ISO time the current session was first started
+            target: null, // What the sessions are for: { todoId, blockId, label }
             workDuration: 25, // minutes
             breakDuration: 5, // minutes
+            longBreakDuration: 15, // minutes
+            longBreakInterval: 4, // a long break after this many work sessions; 0 = never
+            cycleCount: 0, // work sessions since the last long break
+            autoStartNext: false, // start the next session when one completes
+            dailyGoal: 8, // work sessions per day
             customWorkDuration: 25,
-            customBreakDuration: 5
+            customBreakDuration: 5,
+            customLongBreakDuration: 15,
+            customLongBreakInterval: 4,
+            customAutoStartNext: false,
+            customDailyGoal: 8
         };
     }
 
     /**
-     * Load timer state from localStorage
+     * State key holding the custom value of a preset rule
+     * @param {string} rule - One of PRESET_RULES
+     * @returns {string} e.g. 'customLongBreakDuration'
+     */
+    getCustomKey(rule) {
+        return `custom${rule.charAt(0).toUpperCase()}${rule.slice(1)}`;
+    }
+
+    /**
+     * Load timer state from localStorage; a session that ran out while away is left for
+     * PomodoroManager to complete
      * @returns {Object} Timer state object
      */
     loadState() {
@@ -28,26 +56,15 @@ class TimerStorage {
             }
 
             const state = JSON.parse(saved);
+            // Older saves kept the time of the last tick instead of the end time
+            if (state.isRunning && !state.endsAt && state.lastTickAt) {
+                state.endsAt = state.lastTickAt + state.remainingMs;
+            }
+            delete state.lastTickAt;
             
-            // Calculate time elapsed if timer was running
-            if (state.isRunning && state.lastTickAt) {
-                const now = Date.now();
-                const elapsed = now - state.lastTickAt;
-                state.remainingMs = Math.max(0, state.remainingMs - elapsed);
-                
-                // If time expired while away, handle transition
-                if (state.remainingMs === 0) {
-                    state.isRunning = false;
-                    // Auto-transition to break/work
-                    if (state.mode === 'work') {
-                        state.completedSessions++;
-                        state.mode = 'break';
-                        state.remainingMs = state.breakDuration * 60 * 1000;
-                    } else {
-                        state.mode = 'work';
-                        state.remainingMs = state.workDuration * 60 * 1000;
-                    }
-                }
+            // Calculate time left if timer was running
+            if (state.isRunning && state.endsAt) {
+                state.remainingMs = this.getRemainingMs(state);
             }
 
             // Ensure all required properties exist
@@ -66,7 +83,7 @@ class TimerStorage {
         try {
             const stateToSave = {
                 ...state,
-                lastTickAt: state.isRunning ? Date.now() : null
+                endsAt: state.isRunning ? state.endsAt : null
             };
             localStorage.setItem(this.storageKey, JSON.stringify(stateToSave));
         } catch (error) {
@@ -85,6 +102,58 @@ class TimerStorage {
         }
     }
 
+    /**
+     * Time left in the current session
+     * @param {Object} state - Timer state
+     * @param {number} now - Current time in epoch ms
+     * @returns {number} Milliseconds; from endsAt while running, so throttled timers do not drift
+     */
+    getRemainingMs(state, now = Date.now()) {
+        return state.isRunning && state.endsAt ? Math.max(0, state.endsAt - now) : state.remainingMs;
+    }
+
+    /**
+     * Read the lease of the tab that runs the timer
+     * @returns {Object|null} { id, expiresAt }
+     */
+    readLeader() {
+        try {
+            return JSON.parse(localStorage.getItem(this.leaderKey));
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Take or renew the lease
+     * @param {string} id - Tab id
+     * @param {number} ttlMs - How long the lease holds without renewal
+     */
+    writeLeader(id, ttlMs) {
+        localStorage.setItem(this.leaderKey, JSON.stringify({ id, expiresAt: Date.now() + ttlMs }));
+    }
+
+    /**
+     * Check whether a tab holds a valid lease
+     * @param {string} id - Tab id
+     * @returns {boolean} True if it does
+     */
+    isLeader(id) {
+        const leader = this.readLeader();
+        return Boolean(leader && leader.id === id && leader.expiresAt > Date.now());
+    }
+
+    /**
+     * Give up the lease, if this tab holds it
+     * @param {string} id - Tab id
+     */
+    clearLeader(id) {
+        const leader = this.readLeader();
+        if (leader && leader.id === id) {
+            localStorage.removeItem(this.leaderKey);
+        }
+    }
+
     /**
      * Get preset configurations
      * @returns {Object} Preset configurations
@@ -93,16 +162,24 @@ class TimerStorage {
         return {
             pomodoro: {
                 name: 'Pomodoro',
-                description: '25 phút làm việc, 5 phút nghỉ',
+                description: '25 phút làm việc, 5 phút nghỉ, nghỉ dài 15 phút sau mỗi 4 phiên',
                 workDuration: 25,
                 breakDuration: 5,
+                longBreakDuration: 15,
+                longBreakInterval: 4,
+                autoStartNext: false,
+                dailyGoal: 8,
                 icon: '🍅'
             },
             deepwork: {
                 name: 'Deep Work', 
-                description: '50 phút làm việc, 10 phút nghỉ',
+                description: '50 phút làm việc, 10 phút nghỉ, nghỉ dài 30 phút sau mỗi 3 phiên',
                 workDuration: 50,
                 breakDuration: 10,
+                longBreakDuration: 30,
+                longBreakInterval: 3,
+                autoStartNext: false,
+                dailyGoal: 4,
                 icon: '🧠'
             },
             custom: {
@@ -110,6 +187,10 @@ class TimerStorage {
                 description: 'Thiết lập thời gian riêng',
                 workDuration: 25,
                 breakDuration: 5,
+                longBreakDuration: 15,
+                longBreakInterval: 4,
+                autoStartNext: false,
+                dailyGoal: 8,
                 icon: '⚙️'
             }
         };
@@ -118,30 +199,22 @@ class TimerStorage {
     /**
      * Initialize state with preset
      * @param {string} presetName - Name of preset to use
-     * @param {Object} customDurations - Custom durations if preset is 'custom'
+     * @param {Object} customDurations - Custom rules (see PRESET_RULES) if preset is 'custom'
      * @returns {Object} Initialized state
      */
     initializeWithPreset(presetName, customDurations = {}) {
         const presets = this.getPresets();
         const preset = presets[presetName] || presets.pomodoro;
-        
-        const workDuration = presetName === 'custom' 
-            ? (customDurations.workDuration || preset.workDuration)
-            : preset.workDuration;
-            
-        const breakDuration = presetName === 'custom'
-            ? (customDurations.breakDuration || preset.breakDuration) 
-            : preset.breakDuration;
+        const state = { ...this.defaultState, preset: presetName };
 
-        return {
-            ...this.defaultState,
-            preset: presetName,
-            workDuration,
-            breakDuration,
-            remainingMs: workDuration * 60 * 1000,
-            customWorkDuration: customDurations.workDuration || this.defaultState.customWorkDuration,
-            customBreakDuration: customDurations.breakDuration || this.defaultState.customBreakDuration
-        };
+        PRESET_RULES.forEach(rule => {
+            const custom = customDurations[rule];
+            const hasCustom = custom !== undefined && custom !== null && custom !== '';
+            state[rule] = presetName === 'custom' && hasCustom ? custom : preset[rule];
+            if (hasCustom) state[this.getCustomKey(rule)] = custom;
+        });
+        state.remainingMs = state.workDuration * 60 * 1000;
+        return state;
     }
 
     /**
@@ -156,15 +229,28 @@ class TimerStorage {
         return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Full length of the current session
+     * @param {Object} state - Current timer state
+     * @param {string} mode - Mode to measure instead of the current one
+     * @returns {number} Milliseconds
+     */
+    getDurationMs(state, mode = state.mode) {
+        const minutes = {
+            work: state.workDuration,
+            break: state.breakDuration,
+            longBreak: state.longBreakDuration
+        }[mode];
+        return (minutes || state.breakDuration) * 60 * 1000;
+    }
+
     /**
      * Get progress percentage
      * @param {Object} state - Current timer state
      * @returns {number} Progress percentage (0-100)
      */
     getProgress(state) {
-        const totalMs = state.mode === 'work' 
-            ? state.workDuration * 60 * 1000
-            : state.breakDuration * 60 * 1000;
+        const totalMs = this.getDurationMs(state);
         
         const progress = ((totalMs - state.remainingMs) / totalMs) * 100;
         return Math.min(100, Math.max(0, progress));
@@ -180,12 +266,15 @@ class TimerStorage {
     }
 
     /**
-     * Get next mode after current timer completes
+     * Get next mode after current timer completes: every longBreakInterval-th work session
+     * is followed by a long break
      * @param {Object} state - Current timer state
-     * @returns {string} Next mode ('work' | 'break')
+     * @returns {string} Next mode ('work' | 'break' | 'longBreak')
      */
     getNextMode(state) {
-        return state.mode === 'work' ? 'break' : 'work';
+        if (state.mode !== 'work') return 'work';
+        const interval = parseInt(state.longBreakInterval, 10) || 0;
+        return interval > 0 && (state.cycleCount || 0) + 1 >= interval ? 'longBreak' : 'break';
     }
 
     /**
@@ -200,15 +289,99 @@ class TimerStorage {
         return {
             ...state,
             mode: nextMode,
-            remainingMs: nextMode === 'work' 
-                ? state.workDuration * 60 * 1000
-                : state.breakDuration * 60 * 1000,
+            remainingMs: this.getDurationMs(state, nextMode),
+            // The cycle starts over with the long break
+            cycleCount: nextMode === 'longBreak' ? 0 : (state.cycleCount || 0) + (isWorkCompleted ? 1 : 0),
             completedSessions: isWorkCompleted 
                 ? state.completedSessions + 1 
                 : state.completedSessions,
-            isRunning: false
+            isRunning: false,
+            endsAt: null,
+            sessionStartedAt: null
+        };
+    }
+}
+
+/**
+ * Log of Pomodoro sessions: one record per completed, skipped or interrupted work or break
+ * session. Kept through StorageManager as the 'sessions' type (/api/pomodoro-sessions).
+ */
+class SessionHistory {
+    /**
+     * Build the record of the session a timer state is in
+     * @param {Object} state - Timer state before moving on to the next session
+     * @param {string} status - 'completed' | 'skipped' | 'interrupted'
+     * @param {Date} endedAt - When the session ended
+     * @returns {Object} Session record; times are ISO strings, date is the display-timezone day it started.
+     *   The todoId/blockId of the state's target are copied onto it
+     */
+    static createRecord(state, status, endedAt = new Date()) {
+        const plannedMs = timerStorage.getDurationMs(state);
+        // Time the timer actually ran; pauses are not counted
+        const actualMs = status === 'completed'
+            ? plannedMs
+            : Math.min(plannedMs, Math.max(0, plannedMs - state.remainingMs));
+        const startedAt = state.sessionStartedAt
+            ? new Date(state.sessionStartedAt)
+            : new Date(endedAt.getTime() - actualMs);
+        const target = state.target || {};
+        const has = value => value !== undefined && value !== null;
+
+        return {
+            id: Utils.generateId(),
+            mode: state.mode,
+            preset: state.preset,
+            status,
+            date: Utils.getZonedParts(startedAt).date,
+            startedAt: startedAt.toISOString(),
+            endedAt: endedAt.toISOString(),
+            plannedMs,
+            actualMs,
+            ...(has(target.todoId) ? { todoId: target.todoId } : {}),
+            ...(has(target.blockId) ? { blockId: target.blockId } : {})
         };
     }
+
+    /**
+     * Completed work sessions attributed to a todo or a time block
+     * @param {Array} sessions - Session records
+     * @param {Object} match - { todoId } or { blockId }
+     * @returns {Array} Matching records
+     */
+    static getPomodoros(sessions, { todoId, blockId }) {
+        return sessions.filter(session =>
+            session.mode === 'work' &&
+            session.status === 'completed' &&
+            (todoId !== undefined
+                ? session.todoId !== undefined && String(session.todoId) === String(todoId)
+                : session.blockId !== undefined && String(session.blockId) === String(blockId))
+        );
+    }
+
+    /**
+     * Append a record to the history
+     * @param {Object} record - From createRecord()
+     * @returns {Promise<Object>} The stored record
+     */
+    static async add(record) {
+        return storageManager.create('sessions', record);
+    }
+
+    /**
+     * Sessions that started within a date range
+     * @param {string} fromKey - First day, YYYY-MM-DD (display timezone)
+     * @param {string} toKey - Last day, YYYY-MM-DD
+     * @returns {Promise<Array>} Records, oldest first
+     */
+    static async getRange(fromKey, toKey) {
+        // The server filters by date; offline, the cached history is filtered here
+        let sessions = await storageManager.loadQuery('sessions', { from: fromKey, to: toKey });
+        if (!sessions) {
+            sessions = storageManager.readLocal(storageManager.getKey('sessions'))
+                .filter(session => session.date >= fromKey && session.date <= toKey);
+        }
+        return sessions.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    }
 }
 
 // Export singleton instance
@@ -216,5 +389,5 @@ const timerStorage = new TimerStorage();
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TimerStorage, timerStorage };
+    module.exports = { TimerStorage, SessionHistory, timerStorage };
 }
\ No newline at end of file
@@ -1,15 +1,31 @@
 // Pomodoro Hook Logic - Vanilla JS Implementation
+// The display refreshes several times a second; the time itself comes from state.endsAt
+const POMODORO_TICK_MS = 250;
+// One tab leads (ticks to completion, records sessions); it renews its lease on every heartbeat
+const POMODORO_HEARTBEAT_MS = 2000;
+const POMODORO_LEASE_MS = 5000;
+// Two tabs may claim a free lease at once; the one whose write stuck after this delay wins
+const POMODORO_CLAIM_SETTLE_MS = 100;
+
 class PomodoroManager {
     constructor() {
+        this.tabId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+        this.isLeader = false;
+        // Until this tab leads, show the saved state as it is
         this.state = timerStorage.loadState();
         this.intervalId = null;
+        this.heartbeatId = null;
+        this.claiming = null;
         this.callbacks = {
             onTick: [],
             onStateChange: [],
             onComplete: [],
-            onModeSwitch: []
+            onModeSwitch: [],
+            onSessionRecorded: []
         };
         
+        this.setupTabSync();
+        
         // Resume timer if it was running
         if (this.state.isRunning) {
             this.startTimer();
@@ -66,13 +82,110 @@ class PomodoroManager {
         this.emit('onStateChange', { prevState, newState: this.state });
     }
 
+    /**
+     * Keep one tab in charge of the running timer; the others mirror the state it saves
+     */
+    setupTabSync() {
+        if (typeof window === 'undefined') {
+            this.becomeLeader();
+            return;
+        }
+        
+        this.handleStorage = (e) => {
+            if (e.key === timerStorage.storageKey) {
+                this.syncFromStorage();
+            } else if (e.key === timerStorage.leaderKey && !e.newValue) {
+                // The leading tab closed
+                this.claimLeadership();
+            }
+        };
+        this.handleVisibility = () => {
+            if (!document.hidden) this.tick();
+        };
+        this.handleUnload = () => this.releaseLeadership();
+        window.addEventListener('storage', this.handleStorage);
+        window.addEventListener('beforeunload', this.handleUnload);
+        document.addEventListener('visibilitychange', this.handleVisibility);
+        
+        this.heartbeatId = setInterval(() => this.claimLeadership(), POMODORO_HEARTBEAT_MS);
+        this.claimLeadership();
+    }
+
+    /**
+     * Renew the lease while leading; take it over when it is free or expired
+     */
+    claimLeadership() {
+        if (!this.renewLease()) return;
+        if (this.isLeader || this.claiming) return;
+        this.claiming = setTimeout(() => {
+            this.claiming = null;
+            if (timerStorage.isLeader(this.tabId)) this.becomeLeader();
+        }, POMODORO_CLAIM_SETTLE_MS);
+    }
+
+    /**
+     * Write this tab's lease unless another tab holds a valid one. Hidden tabs get their
+     * heartbeat throttled, so the leader also renews right before acting on its lease.
+     * @returns {boolean} True if this tab holds the lease now
+     */
+    renewLease() {
+        const leader = timerStorage.readLeader();
+        if (leader && leader.id !== this.tabId && leader.expiresAt > Date.now()) {
+            this.isLeader = false;
+            return false;
+        }
+        
+        timerStorage.writeLeader(this.tabId, POMODORO_LEASE_MS);
+        return true;
+    }
+
+    /**
+     * Take over the timer, finishing a session that ran out while no tab was leading
+     */
+    becomeLeader() {
+        this.isLeader = true;
+        const state = timerStorage.loadState();
+        if (!state.isRunning || timerStorage.getRemainingMs(state) > 0) return;
+        
+        // Finish it like any other session so completion alerts and auto-start still happen
+        this.state = state;
+        this.handleTimerComplete(new Date(state.endsAt));
+    }
+
+    /**
+     * Let another tab lead, e.g. when this one closes
+     */
+    releaseLeadership() {
+        if (!this.isLeader) return;
+        this.isLeader = false;
+        timerStorage.clearLeader(this.tabId);
+    }
+
+    /**
+     * Mirror a state saved by another tab
+     */
+    syncFromStorage() {
+        const prevState = this.state;
+        this.state = timerStorage.loadState();
+        if (this.state.isRunning) {
+            this.startTimer();
+        } else {
+            this.stopTimer();
+        }
+        this.emit('onStateChange', { prevState, newState: this.state });
+    }
+
     /**
      * Start the timer
      */
     start() {
         if (this.state.isRunning) return;
         
-        this.updateState({ isRunning: true });
+        this.updateState({
+            isRunning: true,
+            endsAt: Date.now() + this.state.remainingMs,
+            sessionStartedAt: this.state.sessionStartedAt || new Date().toISOString()
+        });
         this.startTimer();
     }
 
@@ -83,7 +196,11 @@ class PomodoroManager {
         if (!this.state.isRunning) return;
         
         this.stopTimer();
-        this.updateState({ isRunning: false });
+        this.updateState({
+            isRunning: false,
+            remainingMs: timerStorage.getRemainingMs(this.state),
+            endsAt: null
+        });
     }
 
     /**
@@ -102,28 +219,39 @@ class PomodoroManager {
      */
     reset() {
         this.stopTimer();
+        this.recordSession('interrupted');
         
-        const resetTime = this.state.mode === 'work' 
-            ? this.state.workDuration * 60 * 1000
-            : this.state.breakDuration * 60 * 1000;
+        const resetTime = timerStorage.getDurationMs(this.state);
             
         this.updateState({
             isRunning: false,
-            remainingMs: resetTime
+            remainingMs: resetTime,
+            endsAt: null,
+            sessionStartedAt: null
         });
     }
 
+    /**
+     * Get the rules last set for the 'custom' preset
+     * @returns {Object} Rule name -> value (see PRESET_RULES)
+     */
+    getCustomRules() {
+        return Object.fromEntries(PRESET_RULES.map(rule => [rule, this.state[timerStorage.getCustomKey(rule)]]));
+    }
+
     /**
      * Select a preset configuration
      * @param {string} presetName - Name of preset to select
-     * @param {Object} customDurations - Custom durations if preset is 'custom'
+     * @param {Object} customDurations - Custom rules if preset is 'custom' (missing ones keep their last value)
      */
     selectPreset(presetName, customDurations = {}) {
         this.stopTimer();
+        this.recordSession('interrupted');
         
-        const newState = timerStorage.initializeWithPreset(presetName, customDurations);
-        // Preserve completed sessions
+        const newState = timerStorage.initializeWithPreset(presetName, { ...this.getCustomRules(), ...customDurations });
+        // Preserve completed sessions and what they are for
         newState.completedSessions = this.state.completedSessions;
+        newState.target = this.state.target;
         
         this.state = newState;
         timerStorage.saveState(this.state);
@@ -134,19 +262,30 @@ class PomodoroManager {
      * Set custom durations
      * @param {number} workMinutes - Work duration in minutes
      * @param {number} breakMinutes - Break duration in minutes  
+     * @param {Object} rules - Other custom rules: longBreakDuration, longBreakInterval, autoStartNext, dailyGoal
      */
-    setCustomDurations(workMinutes, breakMinutes) {
+    setCustomDurations(workMinutes, breakMinutes, rules = {}) {
         this.selectPreset('custom', {
+            ...rules,
             workDuration: workMinutes,
             breakDuration: breakMinutes
         });
     }
 
+    /**
+     * Choose the todo or time block the following sessions are attributed to
+     * @param {Object|null} target - { todoId, blockId, label }, or null for none
+     */
+    setTarget(target) {
+        this.updateState({ target: target || null });
+    }
+
     /**
      * Skip to next session (work -> break or break -> work)
      */
     skipSession() {
         this.stopTimer();
+        this.recordSession('skipped');
         
         const nextState = timerStorage.transitionToNext(this.state);
         this.updateState(nextState);
@@ -167,7 +306,7 @@ class PomodoroManager {
         
         this.intervalId = setInterval(() => {
             this.tick();
-        }, 1000);
+        }, POMODORO_TICK_MS);
     }
 
     /**
@@ -181,7 +320,8 @@ class PomodoroManager {
     }
 
     /**
-     * Timer tick - update remaining time
+     * Timer tick - update remaining time from the end timestamp. Nothing is saved: the
+     * stored endsAt already says when the session ends.
      */
     tick() {
         if (!this.state.isRunning) {
@@ -189,16 +329,23 @@ class PomodoroManager {
             return;
         }
 
-        const newRemainingMs = Math.max(0, this.state.remainingMs - 1000);
+        const previous = timerStorage.formatTime(this.state.remainingMs);
+        const newRemainingMs = timerStorage.getRemainingMs(this.state);
+        this.state = { ...this.state, remainingMs: newRemainingMs };
         
         if (newRemainingMs === 0) {
-            // Timer completed
-            this.handleTimerComplete();
-        } else {
-            this.updateState({ remainingMs: newRemainingMs });
+            // Timer completed; only the leading tab moves on, the others get its saved state
+            if (this.isLeader && this.renewLease()) {
+                this.handleTimerComplete();
+                return;
+            }
+        }
+        
+        const formatted = timerStorage.formatTime(newRemainingMs);
+        if (formatted !== previous) {
             this.emit('onTick', { 
                 remainingMs: newRemainingMs,
-                formatted: timerStorage.formatTime(newRemainingMs),
+                formatted,
                 progress: timerStorage.getProgress(this.state)
             });
         }
@@ -206,25 +353,66 @@ class PomodoroManager {
 
     /**
      * Handle timer completion
+     * @param {Date} endedAt - When the session ran out, if that was before now
      */
-    handleTimerComplete() {
-        const wasWorkSession = this.state.mode === 'work';
+    handleTimerComplete(endedAt) {
+        const completedMode = this.state.mode;
         const nextState = timerStorage.transitionToNext(this.state);
         
         this.stopTimer();
+        this.recordSession('completed', endedAt);
         this.updateState(nextState);
         
         this.emit('onComplete', {
-            completedMode: wasWorkSession ? 'work' : 'break',
+            completedMode,
             nextMode: nextState.mode,
             completedSessions: nextState.completedSessions
         });
         
         this.emit('onModeSwitch', {
-            fromMode: wasWorkSession ? 'work' : 'break',
+            fromMode: completedMode,
             toMode: nextState.mode,
             completedSessions: nextState.completedSessions
         });
+        
+        if (this.state.autoStartNext) {
+            this.start();
+        }
+    }
+
+    /**
+     * Add the current session to the history. Interrupting a session that never ran is not recorded.
+     * @param {string} status - 'completed' | 'skipped' | 'interrupted'
+     * @param {Date} endedAt - When the session ended (default now)
+     * @returns {Object|null} The record, or null if nothing was recorded
+     */
+    recordSession(status, endedAt) {
+        const started = this.state.sessionStartedAt || this.state.remainingMs < timerStorage.getDurationMs(this.state);
+        if (status === 'interrupted' && !started) return null;
+        
+        const record = SessionHistory.createRecord({ ...this.state, remainingMs: timerStorage.getRemainingMs(this.state) }, status, endedAt);
+        this.saveRecord(record);
+        return record;
+    }
+
+    /**
+     * Store a session record and tell subscribers
+     * @param {Object} record - Session record
+     */
+    saveRecord(record) {
+        SessionHistory.add(record)
+            .then(() => this.emit('onSessionRecorded', record))
+            .catch(error => console.error('Error saving Pomodoro session:', error));
+    }
+
+    /**
+     * Sessions of a date range
+     * @param {string} fromKey - First day, YYYY-MM-DD
+     * @param {string} toKey - Last day, YYYY-MM-DD
+     * @returns {Promise<Array>} Session records, oldest first
+     */
+    getHistory(fromKey, toKey) {
+        return SessionHistory.getRange(fromKey, toKey);
     }
 
     /**
@@ -269,7 +457,7 @@ class PomodoroManager {
 
     /**
      * Get current mode
-     * @returns {string} Current mode ('work' | 'break')
+     * @returns {string} Current mode ('work' | 'break' | 'longBreak')
      */
     getCurrentMode() {
         return this.state.mode;
@@ -288,6 +476,8 @@ class PomodoroManager {
      */
     resetAll() {
         this.stopTimer();
+        // The session history is kept
+        this.recordSession('interrupted');
         timerStorage.clearState();
         this.state = timerStorage.loadState();
         this.emit('onStateChange', { prevState: {}, newState: this.state });
@@ -298,11 +488,20 @@ class PomodoroManager {
      */
     destroy() {
         this.stopTimer();
+        clearInterval(this.heartbeatId);
+        clearTimeout(this.claiming);
+        this.releaseLeadership();
+        if (typeof window !== 'undefined' && this.handleStorage) {
+            window.removeEventListener('storage', this.handleStorage);
+            window.removeEventListener('beforeunload', this.handleUnload);
+            document.removeEventListener('visibilitychange', this.handleVisibility);
+        }
         this.callbacks = {
             onTick: [],
             onStateChange: [],
             onComplete: [],
-            onModeSwitch: []
+            onModeSwitch: [],
+            onSessionRecorded: []
         };
     }
 }
@@ -3,10 +3,18 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const { Pool } = require('pg');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { ICalendar } = require('./assets/js/icalendar');
+const { Utils } = require('./assets/js/main');
 
 // Environment
 const PORT = process.env.PORT || 3000;
 const DATABASE_URL = process.env.DATABASE_URL || process.env.RENDER_DATABASE_URL;
+// No default: a known key would let anyone forge tokens (startup refuses to run without it)
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRE_MIN = parseInt(process.env.JWT_EXPIRE_MIN || '20160', 10); // 14 days
 
 // Postgres pool (Render requires SSL)
 let pool = null;
@@ -19,6 +27,14 @@ if (DATABASE_URL) {
 
 async function runMigrations() {
   if (!pool) return;
+  await pool.query(`
+    create table if not exists users (
+      id uuid default gen_random_uuid() primary key,
+      email text unique not null,
+      password_hash text not null,
+      created_at timestamptz not null default now()
+    );
+  `);
   await pool.query(`
     create table if not exists todos (
       id text primary key,
@@ -30,6 +46,320 @@ async function runMigrations() {
       completed_at timestamptz
     );
   `);
+  // Todos created before accounts existed have no owner and stay hidden
+  await pool.query(`
+    alter table todos add column if not exists user_id uuid references users(id) on delete cascade;
+    create index if not exists todos_user_id_idx on todos (user_id);
+  `);
+  // Optimistic concurrency: every write bumps version, stale writes get 409
+  await pool.query(`
+    alter table todos add column if not exists version integer not null default 1;
+    alter table todos add column if not exists updated_at timestamptz not null default now();
+  `);
+  // Optional deadline (local date/time as typed) and reminder offsets in minutes before it
+  await pool.query(`
+    alter table todos add column if not exists due_date text;
+    alter table todos add column if not exists due_time text;
+    alter table todos add column if not exists reminders jsonb not null default '[]'::jsonb;
+  `);
+  // Checklist items live inside the todo row; auto_complete closes the todo when all are done
+  await pool.query(`
+    alter table todos add column if not exists subtasks jsonb not null default '[]'::jsonb;
+    alter table todos add column if not exists auto_complete boolean not null default false;
+  `);
+  // Repeat rule (RRULE subset as JSON); completing an occurrence moves due_date forward
+  await pool.query(`
+    alter table todos add column if not exists recurrence jsonb;
+    alter table todos add column if not exists streak integer not null default 0;
+    alter table todos add column if not exists best_streak integer not null default 0;
+  `);
+  // Estimated minutes of work, used by the day planner
+  await pool.query(`
+    alter table todos add column if not exists estimate_minutes integer;
+  `);
+  // Todo ids are only unique per user, like events and blocks; ownerless rows stay (null never collides)
+  await pool.query(`
+    alter table todos drop constraint if exists todos_pkey;
+    create unique index if not exists todos_user_id_id_key on todos (user_id, id);
+  `);
+  // Event and block ids are only unique per user (blocks use "HH:MM-HH:MM")
+  await pool.query(`
+    create table if not exists calendar_events (
+      id text not null,
+      user_id uuid not null references users(id) on delete cascade,
+      title text not null,
+      date text not null,
+      time text,
+      end_time text,
+      priority text not null default 'medium',
+      description text,
+      created_at timestamptz not null default now(),
+      primary key (user_id, id)
+    );
+  `);
+  // Recurring series: rule + skipped dates; an edited occurrence is its own row pointing at the series
+  await pool.query(`
+    alter table calendar_events add column if not exists recurrence jsonb;
+    alter table calendar_events add column if not exists exdates jsonb not null default '[]'::jsonb;
+    alter table calendar_events add column if not exists series_id text;
+    alter table calendar_events add column if not exists original_date text;
+  `);
+  // UID of events imported from .ics files (duplicate detection); the secret in a user's ICS feed URL
+  await pool.query(`
+    alter table calendar_events add column if not exists uid text;
+    alter table users add column if not exists calendar_feed_token text unique;
+  `);
+  // Timezone of timed events and their absolute start/end, so other clients can place them correctly
+  await pool.query(`
+    alter table calendar_events add column if not exists time_zone text;
+    alter table calendar_events add column if not exists start_at timestamptz;
+    alter table calendar_events add column if not exists end_at timestamptz;
+  `);
+  await pool.query(`
+    create table if not exists time_blocks (
+      id text not null,
+      user_id uuid not null references users(id) on delete cascade,
+      start_time text not null,
+      end_time text not null,
+      task text not null default '',
+      completed boolean not null default false,
+      idx integer not null default 0,
+      primary key (user_id, id)
+    );
+  `);
+  // Day a block was planned for (free-slot search); older blocks have none
+  await pool.query(`
+    alter table time_blocks add column if not exists date text;
+  `);
+  // Todo scheduled into a block or onto the calendar
+  await pool.query(`
+    alter table time_blocks add column if not exists todo_id text;
+    alter table calendar_events add column if not exists todo_id text;
+  `);
+  // Planned blocks: 'break' or 'meeting' (copied from a calendar event)
+  await pool.query(`
+    alter table time_blocks add column if not exists type text;
+    alter table time_blocks add column if not exists event_id text;
+  `);
+  // Pomodoro session history; date is the day (user's timezone) the session started
+  await pool.query(`
+    create table if not exists pomodoro_sessions (
+      id text not null,
+      user_id uuid not null references users(id) on delete cascade,
+      mode text not null,
+      preset text,
+      status text not null,
+      date text not null,
+      started_at timestamptz not null,
+      ended_at timestamptz not null,
+      planned_ms integer not null default 0,
+      actual_ms integer not null default 0,
+      primary key (user_id, id)
+    );
+    create index if not exists pomodoro_sessions_user_date on pomodoro_sessions (user_id, date);
+  `);
+  // Todo or time block a session was for
+  await pool.query(`
+    alter table pomodoro_sessions add column if not exists todo_id text;
+    alter table pomodoro_sessions add column if not exists block_id text;
+  `);
+}
+
+// Writable todo fields -> [column, value converter], used by PATCH
+const TODO_COLUMNS = {
+  text: ['text', (v) => String(v || '')],
+  priority: ['priority', (v) => v || 'medium'],
+  completed: ['completed', (v) => Boolean(v)],
+  tags: ['tags', (v) => JSON.stringify(v || [])],
+  completedAt: ['completed_at', (v) => (v ? new Date(v) : null)],
+  dueDate: ['due_date', (v) => v || null],
+  dueTime: ['due_time', (v) => v || null],
+  reminders: ['reminders', (v) => JSON.stringify(normalizeReminders(v))],
+  subtasks: ['subtasks', (v) => JSON.stringify(normalizeSubtasks(v))],
+  autoComplete: ['auto_complete', (v) => Boolean(v)],
+  recurrence: ['recurrence', (v) => toJsonOrNull(normalizeRecurrence(v))],
+  streak: ['streak', (v) => Math.max(0, parseInt(v, 10) || 0)],
+  bestStreak: ['best_streak', (v) => Math.max(0, parseInt(v, 10) || 0)],
+  estimate: ['estimate_minutes', (v) => (parseInt(v, 10) > 0 ? parseInt(v, 10) : null)],
+};
+
+// Reminder offsets are whole minutes before the due time, unique and sorted
+function normalizeReminders(value) {
+  if (!Array.isArray(value)) return [];
+  const minutes = value.map(Number).filter((n) => Number.isInteger(n) && n >= 0);
+  return [...new Set(minutes)].sort((a, b) => a - b);
+}
+
+// Repeat rules mirror assets/js/recurrence.js; anything unrecognised clears the rule
+const RECURRENCE_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RECURRENCE_DAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+function normalizeRecurrence(value) {
+  if (!value || typeof value !== 'object' || !RECURRENCE_FREQS.includes(value.freq)) return null;
+  const rule = { freq: value.freq, interval: Math.max(1, parseInt(value.interval, 10) || 1) };
+  if (Array.isArray(value.byDay)) {
+    const days = RECURRENCE_DAYS.filter((day) => value.byDay.includes(day));
+    if (days.length > 0) rule.byDay = days;
+  }
+  const monthDay = parseInt(value.byMonthDay, 10);
+  if (monthDay >= 1 && monthDay <= 31) rule.byMonthDay = monthDay;
+  // Yearly rules pin their month along with the day
+  const month = parseInt(value.byMonth, 10);
+  if (rule.freq === 'YEARLY' && month >= 1 && month <= 12) rule.byMonth = month;
+  // Monthly "nth weekday" (-1 = last) and end conditions; only calendar events use these
+  const setPos = parseInt(value.bySetPos, 10);
+  if ([1, 2, 3, 4, -1].includes(setPos) && rule.byDay && rule.byDay.length === 1) rule.bySetPos = setPos;
+  if (typeof value.until === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.until)) rule.until = value.until;
+  const count = parseInt(value.count, 10);
+  if (count >= 1) rule.count = count;
+  return rule;
+}
+
+function normalizeDateList(value) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.filter((d) => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d)))].sort();
+}
+
+function toJsonOrNull(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+function toTimestampOrNull(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// "2026-10-19T09:00:00+07:00": the instant written on the clock of the event's own timezone
+function toZonedIsoOrUndefined(value, timeZone) {
+  if (!value) return undefined;
+  const instant = new Date(value);
+  if (!timeZone) return instant.toISOString();
+  const { date, time } = Utils.getZonedParts(instant, timeZone);
+  return Utils.toZonedIso(date, time, timeZone);
+}
+
+// Subtasks keep only { id, text, completed }; entries without text are dropped
+function normalizeSubtasks(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((item) => item && String(item.text || '').trim())
+    .map((item, index) => ({
+      id: item.id !== undefined && item.id !== null ? String(item.id) : String(index + 1),
+      text: String(item.text).trim(),
+      completed: Boolean(item.completed),
+    }));
+}
+
+function mapRowToEvent(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    date: row.date,
+    time: row.time || '',
+    endTime: row.end_time || undefined,
+    priority: row.priority,
+    description: row.description || '',
+    recurrence: row.recurrence || undefined,
+    exdates: row.exdates && row.exdates.length ? row.exdates : undefined,
+    seriesId: row.series_id || undefined,
+    originalDate: row.original_date || undefined,
+    uid: row.uid || undefined,
+    timeZone: row.time_zone || undefined,
+    start: toZonedIsoOrUndefined(row.start_at, row.time_zone),
+    end: toZonedIsoOrUndefined(row.end_at, row.time_zone),
+    todoId: row.todo_id || undefined,
+    createdAt: row.created_at ? new Date(row.created_at).toISOString() : undefined,
+  };
+}
+
+function mapRowToBlock(row) {
+  return {
+    id: row.id,
+    date: row.date || undefined,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    task: row.task,
+    completed: row.completed,
+    index: row.idx,
+    todoId: row.todo_id || undefined,
+    type: row.type || undefined,
+    eventId: row.event_id || undefined,
+  };
+}
+
+function mapRowToSession(row) {
+  return {
+    id: row.id,
+    mode: row.mode,
+    preset: row.preset || undefined,
+    status: row.status,
+    date: row.date,
+    startedAt: new Date(row.started_at).toISOString(),
+    endedAt: new Date(row.ended_at).toISOString(),
+    plannedMs: row.planned_ms,
+    actualMs: row.actual_ms,
+    todoId: row.todo_id || undefined,
+    blockId: row.block_id || undefined,
+  };
+}
+
+const SESSION_MODES = ['work', 'break', 'longBreak'];
+const SESSION_STATUSES = ['completed', 'skipped', 'interrupted'];
+
+// Session from the client as insert parameters, or null when it is not a valid record
+function toSessionParams(s, userId) {
+  if (!s || s.id === undefined || s.id === null) return null;
+  if (!SESSION_MODES.includes(s.mode) || !SESSION_STATUSES.includes(s.status)) return null;
+  if (typeof s.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(s.date)) return null;
+  const startedAt = toTimestampOrNull(s.startedAt);
+  const endedAt = toTimestampOrNull(s.endedAt);
+  if (!startedAt || !endedAt) return null;
+  return [
+    String(s.id),
+    userId,
+    s.mode,
+    s.preset ? String(s.preset) : null,
+    s.status,
+    s.date,
+    startedAt,
+    endedAt,
+    Math.max(0, parseInt(s.plannedMs, 10) || 0),
+    Math.max(0, parseInt(s.actualMs, 10) || 0),
+    s.todoId !== undefined && s.todoId !== null ? String(s.todoId) : null,
+    s.blockId !== undefined && s.blockId !== null ? String(s.blockId) : null,
+  ];
+}
+
+const INSERT_SESSION = `insert into pomodoro_sessions
+  (id, user_id, mode, preset, status, date, started_at, ended_at, planned_ms, actual_ms, todo_id, block_id)
+  values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+  on conflict (user_id, id) do nothing`;
+
+function createAccessToken(userId) {
+  return jwt.sign({ sub: String(userId) }, JWT_SECRET, { expiresIn: JWT_EXPIRE_MIN * 60 });
+}
+
+// Resolve the Bearer token into req.userId, or reject with 401. Without a database there are
+// no accounts (and no JWT_SECRET is required): every request is the single local user.
+function requireAuth(req, res, next) {
+  if (!pool) {
+    req.userId = null;
+    return next();
+  }
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (!payload.sub) throw new Error('Missing subject');
+    req.userId = payload.sub;
+    next();
+  } catch (err) {
+    res.status(401).json({ error: 'Invalid token' });
+  }
 }
 
 function mapRowToTodo(row) {
@@ -41,23 +371,137 @@ function mapRowToTodo(row) {
     tags: row.tags || [],
     createdAt: row.created_at ? new Date(row.created_at).toISOString() : undefined,
     completedAt: row.completed_at ? new Date(row.completed_at).toISOString() : undefined,
+    dueDate: row.due_date || undefined,
+    dueTime: row.due_time || undefined,
+    reminders: row.reminders || [],
+    subtasks: row.subtasks || [],
+    autoComplete: Boolean(row.auto_complete),
+    recurrence: row.recurrence || undefined,
+    streak: row.streak || 0,
+    bestStreak: row.best_streak || 0,
+    estimate: row.estimate_minutes || undefined,
+    version: row.version,
+    updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : undefined,
   };
 }
 
+// A client version of undefined/null means "no base version", i.e. overwrite
+function isStaleVersion(clientVersion, row) {
+  if (clientVersion === undefined || clientVersion === null) return false;
+  return Number(clientVersion) !== row.version;
+}
+
+// Live update streams per user (Server-Sent Events). Kept in memory, so only
+// clients connected to the same instance see each other's changes.
+const eventStreams = new Map();
+
+function notifyChange(req, collection) {
+  const streams = eventStreams.get(req.userId);
+  if (!streams) return;
+  // source lets the writing tab ignore the echo of its own change
+  const payload = JSON.stringify({ collection, source: req.get('X-Client-Id') || null });
+  for (const stream of streams) {
+    stream.write(`event: change\ndata: ${payload}\n\n`);
+  }
+}
+
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: '1mb' }));
+// login.html posts /auth/token as an OAuth2 password form
+app.use(express.urlencoded({ extended: false }));
 
 // API health
 app.get('/api/health', (req, res) => {
   res.json({ ok: true, hasDatabase: Boolean(pool) });
 });
 
-// Todos API compatible with frontend bulk methods
+// Auth API (same shapes as backend/main.py so login.html works against either)
+app.post('/auth/register', async (req, res) => {
+  try {
+    if (!pool) return res.status(503).json({ error: 'Database not configured' });
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+    const passwordHash = await bcrypt.hash(password, 10);
+    const { rows } = await pool.query(
+      'insert into users (email, password_hash) values ($1, $2) returning id',
+      [email, passwordHash]
+    );
+    res.json({ access_token: createAccessToken(rows[0].id), token_type: 'bearer' });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'Email already registered' });
+    }
+    console.error('POST /auth/register error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+app.post('/auth/token', async (req, res) => {
+  try {
+    if (!pool) return res.status(503).json({ error: 'Database not configured' });
+    const email = String(req.body.username || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+    const { rows } = await pool.query('select id, password_hash from users where email = $1', [email]);
+    const user = rows[0];
+    if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+      return res.status(400).json({ error: 'Incorrect email or password' });
+    }
+    res.json({ access_token: createAccessToken(user.id), token_type: 'bearer' });
+  } catch (err) {
+    console.error('POST /auth/token error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Change feed; EventSource cannot set headers, so the token may come as ?token=
+app.get(
+  '/api/events',
+  (req, res, next) => {
+    if (!req.get('Authorization') && req.query.token) {
+      req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+  },
+  requireAuth,
+  (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    if (!eventStreams.has(req.userId)) eventStreams.set(req.userId, new Set());
+    eventStreams.get(req.userId).add(res);
+
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      const streams = eventStreams.get(req.userId);
+      if (!streams) return;
+      streams.delete(res);
+      if (streams.size === 0) eventStreams.delete(req.userId);
+    });
+  }
+);
+
+// Todos API compatible with frontend bulk methods, scoped to the token's user
+app.use('/api/todos', requireAuth);
+
 app.get('/api/todos', async (req, res) => {
   try {
     if (!pool) return res.json([]);
-    const { rows } = await pool.query('select * from todos order by created_at asc');
+    const { rows } = await pool.query(
+      'select * from todos where user_id = $1 order by created_at asc',
+      [req.userId]
+    );
     res.json(rows.map(mapRowToTodo));
   } catch (err) {
     console.error('GET /api/todos error', err);
@@ -70,29 +514,294 @@ app.put('/api/todos', async (req, res) => {
   try {
     if (!pool) return res.json([]);
     const todos = Array.isArray(req.body) ? req.body : [];
+    const saved = [];
+    let conflicts = [];
     const client = await pool.connect();
     try {
       await client.query('begin');
-      await client.query('delete from todos');
-      for (const t of todos) {
+      const { rows: existing } = await client.query(
+        'select * from todos where user_id = $1 for update',
+        [req.userId]
+      );
+      const current = new Map(existing.map((row) => [row.id, row]));
+      conflicts = todos
+        .filter((t) => current.has(String(t.id)) && isStaleVersion(t.version, current.get(String(t.id))))
+        .map((t) => mapRowToTodo(current.get(String(t.id))));
+
+      if (conflicts.length > 0) {
+        await client.query('rollback');
+      } else {
+        await client.query('delete from todos where user_id = $1', [req.userId]);
+        for (const t of todos) {
+          const previous = current.get(String(t.id));
+          const { rows } = await client.query(
+            `insert into todos (id, user_id, text, priority, completed, tags, created_at, completed_at,
+                                due_date, due_time, reminders, subtasks, auto_complete,
+                                recurrence, streak, best_streak, estimate_minutes, version, updated_at)
+             values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,now())
+             on conflict (user_id, id) do update set
+               text = excluded.text,
+               priority = excluded.priority,
+               completed = excluded.completed,
+               tags = excluded.tags,
+               created_at = excluded.created_at,
+               completed_at = excluded.completed_at,
+               due_date = excluded.due_date,
+               due_time = excluded.due_time,
+               reminders = excluded.reminders,
+               subtasks = excluded.subtasks,
+               auto_complete = excluded.auto_complete,
+               recurrence = excluded.recurrence,
+               streak = excluded.streak,
+               best_streak = excluded.best_streak,
+               estimate_minutes = excluded.estimate_minutes,
+               version = excluded.version,
+               updated_at = excluded.updated_at
+             returning *`,
+            [
+              String(t.id),
+              req.userId,
+              t.text || '',
+              t.priority || 'medium',
+              Boolean(t.completed),
+              JSON.stringify(t.tags || []),
+              t.createdAt ? new Date(t.createdAt) : new Date(),
+              t.completedAt ? new Date(t.completedAt) : null,
+              t.dueDate || null,
+              t.dueTime || null,
+              JSON.stringify(normalizeReminders(t.reminders)),
+              JSON.stringify(normalizeSubtasks(t.subtasks)),
+              Boolean(t.autoComplete),
+              toJsonOrNull(normalizeRecurrence(t.recurrence)),
+              TODO_COLUMNS.streak[1](t.streak),
+              TODO_COLUMNS.bestStreak[1](t.bestStreak),
+              TODO_COLUMNS.estimate[1](t.estimate),
+              previous ? previous.version + 1 : 1,
+            ]
+          );
+          if (rows[0]) saved.push(mapRowToTodo(rows[0]));
+        }
+        await client.query('commit');
+      }
+    } catch (e) {
+      await client.query('rollback');
+      throw e;
+    } finally {
+      client.release();
+    }
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: 'Conflict', conflicts });
+    }
+    notifyChange(req, 'todos');
+    res.json({ ok: true, count: todos.length, todos: saved });
+  } catch (err) {
+    console.error('PUT /api/todos error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Clear all todos
+app.delete('/api/todos', async (req, res) => {
+  try {
+    if (!pool) return res.json({ ok: true });
+    await pool.query('delete from todos where user_id = $1', [req.userId]);
+    notifyChange(req, 'todos');
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/todos error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Single todo endpoints used by TodoManager; the bulk PUT above is for imports
+app.get('/api/todos/:id', async (req, res) => {
+  try {
+    if (!pool) return res.status(404).json({ error: 'Todo not found' });
+    const { rows } = await pool.query(
+      'select * from todos where id = $1 and user_id = $2',
+      [req.params.id, req.userId]
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Todo not found' });
+    res.json(mapRowToTodo(rows[0]));
+  } catch (err) {
+    console.error('GET /api/todos/:id error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+app.post('/api/todos', async (req, res) => {
+  try {
+    const t = req.body || {};
+    if (t.id === undefined || t.id === null || !String(t.text || '').trim()) {
+      return res.status(400).json({ error: 'id and text are required' });
+    }
+    if (!pool) return res.status(201).json(t);
+    const { rows } = await pool.query(
+      `insert into todos (id, user_id, text, priority, completed, tags, created_at, completed_at,
+                          due_date, due_time, reminders, subtasks, auto_complete,
+                          recurrence, streak, best_streak, estimate_minutes)
+       values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
+       returning *`,
+      [
+        String(t.id),
+        req.userId,
+        String(t.text).trim(),
+        t.priority || 'medium',
+        Boolean(t.completed),
+        JSON.stringify(t.tags || []),
+        t.createdAt ? new Date(t.createdAt) : new Date(),
+        t.completedAt ? new Date(t.completedAt) : null,
+        t.dueDate || null,
+        t.dueTime || null,
+        JSON.stringify(normalizeReminders(t.reminders)),
+        JSON.stringify(normalizeSubtasks(t.subtasks)),
+        Boolean(t.autoComplete),
+        toJsonOrNull(normalizeRecurrence(t.recurrence)),
+        TODO_COLUMNS.streak[1](t.streak),
+        TODO_COLUMNS.bestStreak[1](t.bestStreak),
+        TODO_COLUMNS.estimate[1](t.estimate),
+      ]
+    );
+    notifyChange(req, 'todos');
+    res.status(201).json(mapRowToTodo(rows[0]));
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Todo already exists' });
+    }
+    console.error('POST /api/todos error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+app.patch('/api/todos/:id', async (req, res) => {
+  try {
+    const changes = req.body || {};
+    const sets = [];
+    const values = [];
+    for (const [field, [column, convert]] of Object.entries(TODO_COLUMNS)) {
+      if (Object.prototype.hasOwnProperty.call(changes, field)) {
+        values.push(convert(changes[field]));
+        sets.push(`${column} = $${values.length}`);
+      }
+    }
+    if (sets.length === 0) return res.status(400).json({ error: 'No updatable fields' });
+    if (!pool) return res.json({ id: req.params.id, ...changes });
+
+    const client = await pool.connect();
+    try {
+      await client.query('begin');
+      const { rows: existing } = await client.query(
+        'select * from todos where id = $1 and user_id = $2 for update',
+        [req.params.id, req.userId]
+      );
+      if (existing.length === 0) {
+        await client.query('rollback');
+        return res.status(404).json({ error: 'Todo not found' });
+      }
+      if (isStaleVersion(changes.version, existing[0])) {
+        await client.query('rollback');
+        return res.status(409).json({ error: 'Conflict', current: mapRowToTodo(existing[0]) });
+      }
+
+      values.push(req.params.id, req.userId);
+      const { rows } = await client.query(
+        `update todos set ${sets.join(', ')}, version = version + 1, updated_at = now()
+         where id = $${values.length - 1} and user_id = $${values.length}
+         returning *`,
+        values
+      );
+      await client.query('commit');
+      notifyChange(req, 'todos');
+      res.json(mapRowToTodo(rows[0]));
+    } catch (e) {
+      await client.query('rollback');
+      throw e;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('PATCH /api/todos/:id error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+app.delete('/api/todos/:id', async (req, res) => {
+  try {
+    if (!pool) return res.json({ ok: true });
+    // ?version= guards against deleting a todo someone else just changed; checked in the
+    // same statement so a write landing in between cannot slip through
+    const version = req.query.version !== undefined ? Number(req.query.version) : null;
+    if (Number.isNaN(version)) return res.status(400).json({ error: 'Invalid version' });
+    const { rowCount } = await pool.query(
+      'delete from todos where id = $1 and user_id = $2 and ($3::int is null or version = $3) returning id',
+      [req.params.id, req.userId, version]
+    );
+    if (rowCount === 0) {
+      const { rows } = await pool.query(
+        'select * from todos where id = $1 and user_id = $2',
+        [req.params.id, req.userId]
+      );
+      if (rows.length === 0) return res.status(404).json({ error: 'Todo not found' });
+      return res.status(409).json({ error: 'Conflict', current: mapRowToTodo(rows[0]) });
+    }
+    notifyChange(req, 'todos');
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/todos/:id error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Calendar events API, same bulk shape as todos
+app.use('/api/calendar-events', requireAuth);
+
+app.get('/api/calendar-events', async (req, res) => {
+  try {
+    if (!pool) return res.json([]);
+    const { rows } = await pool.query(
+      'select * from calendar_events where user_id = $1 order by date asc, time asc nulls first',
+      [req.userId]
+    );
+    res.json(rows.map(mapRowToEvent));
+  } catch (err) {
+    console.error('GET /api/calendar-events error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+app.put('/api/calendar-events', async (req, res) => {
+  try {
+    if (!pool) return res.json([]);
+    const events = Array.isArray(req.body) ? req.body : [];
+    const client = await pool.connect();
+    try {
+      await client.query('begin');
+      await client.query('delete from calendar_events where user_id = $1', [req.userId]);
+      for (const e of events) {
         await client.query(
-          `insert into todos (id, text, priority, completed, tags, created_at, completed_at)
-           values ($1,$2,$3,$4,$5,$6,$7)
-           on conflict (id) do update set
-             text = excluded.text,
-             priority = excluded.priority,
-             completed = excluded.completed,
-             tags = excluded.tags,
-             created_at = excluded.created_at,
-             completed_at = excluded.completed_at`,
+          `insert into calendar_events (id, user_id, title, date, time, end_time, priority, description, created_at,
+                                        recurrence, exdates, series_id, original_date, uid, time_zone, start_at, end_at, todo_id)
+           values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18)
+           on conflict (user_id, id) do nothing`,
           [
-            String(t.id),
-            t.text || '',
-            t.priority || 'medium',
-            Boolean(t.completed),
-            JSON.stringify(t.tags || []),
-            t.createdAt ? new Date(t.createdAt) : new Date(),
-            t.completedAt ? new Date(t.completedAt) : null,
+            String(e.id),
+            req.userId,
+            e.title || '',
+            String(e.date || ''),
+            e.time || null,
+            e.endTime || null,
+            e.priority || 'medium',
+            e.description || null,
+            e.createdAt ? new Date(e.createdAt) : new Date(),
+            toJsonOrNull(normalizeRecurrence(e.recurrence)),
+            JSON.stringify(normalizeDateList(e.exdates)),
+            e.seriesId ? String(e.seriesId) : null,
+            e.originalDate || null,
+            e.uid ? String(e.uid) : null,
+            e.timeZone && Utils.isValidTimeZone(e.timeZone) ? e.timeZone : null,
+            toTimestampOrNull(e.start),
+            toTimestampOrNull(e.end),
+            e.todoId !== undefined && e.todoId !== null ? String(e.todoId) : null,
           ]
         );
       }
@@ -103,21 +812,235 @@ app.put('/api/todos', async (req, res) => {
     } finally {
       client.release();
     }
-    res.json({ ok: true, count: todos.length });
+    notifyChange(req, 'calendar-events');
+    res.json({ ok: true, count: events.length });
   } catch (err) {
-    console.error('PUT /api/todos error', err);
+    console.error('PUT /api/calendar-events error', err);
     res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-// Clear all todos
-app.delete('/api/todos', async (req, res) => {
+app.delete('/api/calendar-events', async (req, res) => {
   try {
     if (!pool) return res.json({ ok: true });
-    await pool.query('delete from todos');
+    await pool.query('delete from calendar_events where user_id = $1', [req.userId]);
+    notifyChange(req, 'calendar-events');
     res.json({ ok: true });
   } catch (err) {
-    console.error('DELETE /api/todos error', err);
+    console.error('DELETE /api/calendar-events error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Subscription URL for the read-only ICS feed; created on first request, rotated by reset
+function calendarFeedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}/feeds/calendar/${token}.ics`;
+}
+
+app.get('/api/calendar-feed', requireAuth, async (req, res) => {
+  try {
+    if (!pool) return res.status(503).json({ error: 'Database not configured' });
+    const { rows } = await pool.query('select calendar_feed_token from users where id = $1', [req.userId]);
+    if (!rows[0]) return res.status(404).json({ error: 'Not found' });
+    let token = rows[0].calendar_feed_token;
+    if (!token) {
+      token = crypto.randomBytes(24).toString('hex');
+      await pool.query('update users set calendar_feed_token = $2 where id = $1', [req.userId, token]);
+    }
+    res.json({ url: calendarFeedUrl(req, token) });
+  } catch (err) {
+    console.error('GET /api/calendar-feed error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+app.post('/api/calendar-feed/reset', requireAuth, async (req, res) => {
+  try {
+    if (!pool) return res.status(503).json({ error: 'Database not configured' });
+    const token = crypto.randomBytes(24).toString('hex');
+    await pool.query('update users set calendar_feed_token = $2 where id = $1', [req.userId, token]);
+    res.json({ url: calendarFeedUrl(req, token) });
+  } catch (err) {
+    console.error('POST /api/calendar-feed/reset error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Calendar apps cannot send a Bearer token, so the feed is found by the secret in its URL
+app.get('/feeds/calendar/:token.ics', async (req, res) => {
+  try {
+    if (!pool) return res.status(404).send('Not found');
+    const { rows: users } = await pool.query('select id from users where calendar_feed_token = $1', [
+      req.params.token,
+    ]);
+    if (!users[0]) return res.status(404).send('Not found');
+    const { rows } = await pool.query(
+      'select * from calendar_events where user_id = $1 order by date asc, time asc nulls first',
+      [users[0].id]
+    );
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': 'no-cache',
+    });
+    res.send(ICalendar.export(rows.map(mapRowToEvent), { name: 'TaskManager' }));
+  } catch (err) {
+    console.error('GET /feeds/calendar error', err);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+// Time blocks API, same bulk shape as todos
+app.use('/api/time-blocks', requireAuth);
+
+app.get('/api/time-blocks', async (req, res) => {
+  try {
+    if (!pool) return res.json([]);
+    const { rows } = await pool.query(
+      'select * from time_blocks where user_id = $1 order by idx asc, start_time asc',
+      [req.userId]
+    );
+    res.json(rows.map(mapRowToBlock));
+  } catch (err) {
+    console.error('GET /api/time-blocks error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+app.put('/api/time-blocks', async (req, res) => {
+  try {
+    if (!pool) return res.json([]);
+    const blocks = Array.isArray(req.body) ? req.body : [];
+    const client = await pool.connect();
+    try {
+      await client.query('begin');
+      await client.query('delete from time_blocks where user_id = $1', [req.userId]);
+      for (const [i, b] of blocks.entries()) {
+        await client.query(
+          `insert into time_blocks (id, user_id, start_time, end_time, task, completed, idx, date, todo_id, type, event_id)
+           values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+           on conflict (user_id, id) do nothing`,
+          [
+            String(b.id),
+            req.userId,
+            b.startTime || '',
+            b.endTime || '',
+            b.task || '',
+            Boolean(b.completed),
+            Number.isInteger(b.index) ? b.index : i,
+            typeof b.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(b.date) ? b.date : null,
+            b.todoId !== undefined && b.todoId !== null ? String(b.todoId) : null,
+            b.type ? String(b.type) : null,
+            b.eventId ? String(b.eventId) : null,
+          ]
+        );
+      }
+      await client.query('commit');
+    } catch (e) {
+      await client.query('rollback');
+      throw e;
+    } finally {
+      client.release();
+    }
+    notifyChange(req, 'time-blocks');
+    res.json({ ok: true, count: blocks.length });
+  } catch (err) {
+    console.error('PUT /api/time-blocks error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+app.delete('/api/time-blocks', async (req, res) => {
+  try {
+    if (!pool) return res.json({ ok: true });
+    await pool.query('delete from time_blocks where user_id = $1', [req.userId]);
+    notifyChange(req, 'time-blocks');
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/time-blocks error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Pomodoro session history: append-only; GET takes ?from=&to= (YYYY-MM-DD, inclusive)
+app.use('/api/pomodoro-sessions', requireAuth);
+
+app.get('/api/pomodoro-sessions', async (req, res) => {
+  try {
+    if (!pool) return res.json([]);
+    const isDateKey = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+    const { from, to } = req.query;
+    if ((from !== undefined && !isDateKey(from)) || (to !== undefined && !isDateKey(to))) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+    const { rows } = await pool.query(
+      `select * from pomodoro_sessions
+       where user_id = $1 and ($2::text is null or date >= $2) and ($3::text is null or date <= $3)
+       order by started_at asc`,
+      [req.userId, from || null, to || null]
+    );
+    res.json(rows.map(mapRowToSession));
+  } catch (err) {
+    console.error('GET /api/pomodoro-sessions error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+app.post('/api/pomodoro-sessions', async (req, res) => {
+  try {
+    const params = toSessionParams(req.body, req.userId);
+    if (!params) return res.status(400).json({ error: 'Invalid session' });
+    if (!pool) return res.status(201).json(req.body);
+    // A replayed request for the same id is a no-op
+    await pool.query(INSERT_SESSION, params);
+    const { rows } = await pool.query(
+      'select * from pomodoro_sessions where user_id = $1 and id = $2',
+      [req.userId, params[0]]
+    );
+    notifyChange(req, 'pomodoro-sessions');
+    res.status(201).json(mapRowToSession(rows[0]));
+  } catch (err) {
+    console.error('POST /api/pomodoro-sessions error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Replace the whole history (backup import); invalid records are skipped
+app.put('/api/pomodoro-sessions', async (req, res) => {
+  try {
+    if (!pool) return res.json([]);
+    const sessions = (Array.isArray(req.body) ? req.body : [])
+      .map((s) => toSessionParams(s, req.userId))
+      .filter(Boolean);
+    const client = await pool.connect();
+    try {
+      await client.query('begin');
+      await client.query('delete from pomodoro_sessions where user_id = $1', [req.userId]);
+      for (const params of sessions) {
+        await client.query(INSERT_SESSION, params);
+      }
+      await client.query('commit');
+    } catch (e) {
+      await client.query('rollback');
+      throw e;
+    } finally {
+      client.release();
+    }
+    notifyChange(req, 'pomodoro-sessions');
+    res.json({ ok: true, count: sessions.length });
+  } catch (err) {
+    console.error('PUT /api/pomodoro-sessions error', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+app.delete('/api/pomodoro-sessions', async (req, res) => {
+  try {
+    if (!pool) return res.json({ ok: true });
+    await pool.query('delete from pomodoro_sessions where user_id = $1', [req.userId]);
+    notifyChange(req, 'pomodoro-sessions');
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/pomodoro-sessions error', err);
     res.status(500).json({ error: 'Internal Server Error' });
   }
 });
@@ -135,6 +1058,11 @@ app.get('*', (req, res, next) => {
     if (!pool) {
       console.warn('DATABASE_URL not set. API will use localStorage fallback.');
     } else {
+      if (!JWT_SECRET) {
+        console.error('JWT_SECRET not set. Refusing to start without a token signing key.');
+        process.exit(1);
+        return;
+      }
       console.log('Running migrations...');
       await runMigrations();
       console.log('Migrations completed.');